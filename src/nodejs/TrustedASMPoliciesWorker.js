@@ -7,7 +7,9 @@ const convert = require('xml-js');
 const http = require('http');
 const https = require('https');
 const url = require('url');
+const crypto = require('crypto');
 const path = require('path');
+const zlib = require('zlib');
 const EventEmitter = require('events');
 
 const pollDelay = 2000;
@@ -22,21 +24,171 @@ const DELETING = 'DELETING';
 const DELETED = 'DELETED';
 const IMPORTING = 'IMPORTING';
 const APPLYING = 'APPLYING';
+const IMPORTED = 'IMPORTED';
+const ATTACHING = 'ATTACHING';
 const FINISHED = 'COMPLETED';
 const FAILURE = 'FAILURE';
 const ERROR = 'ERROR';
 const UNDISCOVERED = 'UNDISCOVERED';
 const UNKNOWN = 'UNKNOWN';
 const DOWNLOADING = 'DOWNLOADING';
+const SNAPSHOTTING = 'SNAPSHOTTING';
+const RENDERING = 'RENDERING';
+const ROLLINGBACK = 'ROLLING_BACK';
+const ROLLEDBACK = 'ROLLED_BACK';
+const RUNNING = 'RUNNING';
+const CANCELLED = 'CANCELLED';
+const HALTED = 'HALTED';
+const MISSING = 'MISSING';
+const IDENTICAL = 'IDENTICAL';
+const DRIFTED = 'DRIFTED';
 const DEVICEGROUP_PREFIX = 'TrustProxy_';
 
+const DRIFTPATH = 'drift';
+const DIFFPATH = 'diff';
+const TASKSPATH = 'tasks';
+const SETTINGSPATH = 'settings';
+const EXPORTSPATH = 'exports';
+const BACKUPSPATH = 'backups';
+const BACKUPSCHEDULEPATH = 'schedule';
+const BUNDLESPATH = 'bundles';
+const APPLYPATH = 'apply';
+const RECYCLEBINPATH = 'recyclebin';
+
 const TASKTIMEOUT = 120000;
 
 const POLICYFILEPREFIX = 'exportedPolicy';
 const POLICYCACHETIME = 3600e3; // 1 hour
 
 const downloadDirectory = '/var/tmp';
-const VALIDDOWNLOADPROTOCOLS = ['file:', 'http:', 'https:'];
+const dataDirectory = '/shared/TrustedASMPolicies';
+const settingsFile = dataDirectory + '/settings.json';
+const DEFAULTSETTINGS = {
+    jobsDirectory: dataDirectory + '/jobs',
+    jobRetentionHours: 24,
+    // named HMAC secrets or PEM public keys to verify downloaded policies
+    verificationKeys: {},
+    // named credential profiles for source URL downloads
+    sourceCredentials: {},
+    // PEM CA certificates which sign https source URL servers, Node.js CAs when empty
+    downloadCABundle: '',
+    downloadRejectUnauthorized: true,
+    downloadMaxRedirects: 5,
+    downloadMaxBytes: 104857600,
+    // S3 compatible endpoint URL for s3: URLs, AWS S3 when empty
+    s3Endpoint: '',
+    s3Region: 'us-east-1',
+    backupsDirectory: dataDirectory + '/backups',
+    // hours between scheduled backups, 0 disables scheduled backups
+    backupIntervalHours: 0,
+    // days to keep backups, 0 keeps backups forever
+    backupRetentionDays: 30,
+    recycleBinDirectory: dataDirectory + '/recyclebin',
+    // days to keep deleted policies in the recycle bin, 0 keeps them until they are purged
+    recycleBinRetentionDays: 30,
+    // policy template variable sets for target devices, keyed by device host, UUID or hostname
+    deviceVariables: {}
+};
+const DOWNLOADLIMITSETTINGS = ['downloadMaxRedirects', 'downloadMaxBytes'];
+const BACKUPSCHEDULESETTINGS = ['backupIntervalHours', 'backupRetentionDays'];
+const RECYCLEBINSETTINGS = ['recycleBinRetentionDays'];
+// what started a backup
+const BACKUPSCHEDULED = 'schedule';
+const BACKUPREQUESTED = 'request';
+// why a policy was put in the recycle bin
+const RECYCLEDELETED = 'delete';
+const RECYCLEREPLACED = 'replace';
+// longest setTimeout delay, later scheduled backups wait for another timer
+const MAXTIMERDELAY = 2147483647;
+// source URL credential profile keys and their types
+const CREDENTIALKEYS = {
+    username: 'string',
+    password: 'string',
+    token: 'string',
+    headers: 'object',
+    ca: 'string',
+    rejectUnauthorized: 'boolean',
+    accessKeyId: 'string',
+    secretAccessKey: 'string',
+    sessionToken: 'string',
+    region: 'string',
+    endpoint: 'string'
+};
+// credential profile keys which are hidden in settings responses, with the header values
+const CREDENTIALSECRETS = ['password', 'token', 'secretAccessKey', 'sessionToken'];
+// hidden secrets are returned as this placeholder, which keeps the saved secret when it is put back
+const HIDDENSETTINGVALUE = '********';
+// POST parameters to verify a policy downloaded from a source URL
+const VERIFICATIONOPTIONS = ['sha256', 'hmac', 'signature', 'verificationKey'];
+// task states which end processing for a job target
+const JOBTERMINALSTATES = [FINISHED, IMPORTED, ERROR, ROLLEDBACK, CANCELLED, HALTED];
+// ASM file-transfer uploads are written to this directory on BIG-IPs
+const ASMUPLOADDIRECTORY = '/var/ts/var/rest';
+const VALIDDOWNLOADPROTOCOLS = ['file:', 'http:', 'https:', 's3:'];
+// source id reported for policies posted in the request body
+const INLINESOURCE = 'inline';
+// policy bundles are gzipped tar archives of a manifest and the policy XML files
+const BUNDLEMANIFEST = 'manifest.json';
+const BUNDLEPOLICYDIRECTORY = 'policies';
+const TARBLOCKSIZE = 512;
+// {{VARIABLE}} placeholders in policy templates are XML escaped, {{{VARIABLE}}} placeholders are inserted as is
+const TEMPLATEPATTERN = /\{\{\{\s*([\w.-]+)\s*\}\}\}|\{\{\s*([\w.-]+)\s*\}\}/g;
+const REPLACEDELETE = 'delete';
+const REPLACEOVERWRITE = 'overwrite';
+const VALIDREPLACESTRATEGIES = [REPLACEDELETE, REPLACEOVERWRITE];
+// POST parameters for a staged rollout across target devices, all default to 0
+const ROLLOUTOPTIONS = ['canaryCount', 'batchSize', 'soakSeconds', 'maxFailures'];
+// policy transform operations and the types of their parameters, see POLICYTRANSFORMS
+const TRANSFORMOPTIONS = {
+    enforcementMode: { value: 'string' },
+    description: { value: 'string' },
+    disableSignatures: { signatureIds: 'object' },
+    addWhitelistIps: { ips: 'object' },
+    removeWhitelistIps: { ips: 'object' },
+    removeLearningSuggestions: {}
+};
+const ENFORCEMENTMODES = ['blocking', 'transparent'];
+// ASM creates and manages these LTM policies for the virtualServers of a policy
+const ASMAUTOLTMPOLICYPREFIX = 'asm_auto_l7_policy__';
+// LTM policy rules which enable attached ASM policies are named with this prefix
+const LTMRULEPREFIX = 'TrustedASMPolicies_';
+// read only LTM policy rule action properties, left out when an action is written back
+const LTMACTIONREADONLY = ['kind', 'selfLink', 'generation', 'fullPath'];
+// policy XML elements which hold learning suggestions
+const POLICYSUGGESTIONELEMENTS = ['suggestions', 'policy_builder_suggestions'];
+// whitelist elements which hold the whitelist IPs, ip_address_exception in newer exports
+const WHITELISTIPELEMENTS = ['ip', 'ip_address_exception'];
+// POST parameters which restore a policy from a backup or a task snapshot
+const RESTOREOPTIONS = ['backupId', 'backupVersion', 'backupBefore', 'snapshotTaskId', 'recycleBinId'];
+// dry run plan actions for each target device
+const PLANSKIP = 'skip';
+const PLANCREATE = 'create';
+const PLANREPLACE = 'replace';
+const PLANFAIL = 'fail';
+
+// ASM policy compatibility between the TMOS version a policy was exported
+// from and the target TMOS version. source and target use the targetVersion
+// range syntax. A version pair is compatible when a matching rule allows it:
+//   upgrade - the target version is the same as or newer than the source
+//   release - the versions are in the same major.minor release
+const TMOSCOMPATIBILITYMATRIX = [
+    { source: '>=11.6', target: '>=11.6', allow: 'upgrade' },
+    { source: '>=12.1', target: '>=12.1', allow: 'release' }
+];
+
+// ASM policy XML sections compared entry by entry in policy diffs.
+// Entries are matched on the key attributes or child elements.
+const POLICYDIFFSECTIONS = {
+    urls: { paths: [['urls', 'url']], keys: ['protocol', 'name'] },
+    parameters: { paths: [['parameters', 'parameter']], keys: ['name'] },
+    fileTypes: { paths: [['file_types', 'file_type'], ['filetypes', 'filetype']], keys: ['name'] },
+    signatureSets: { paths: [['attack_signatures', 'signature_set']], keys: ['set'] },
+    signatures: { paths: [['attack_signatures', 'signature']], keys: ['signature_id'] },
+    blockingSettings: { paths: [['blocking', 'violation']], keys: ['name'] },
+    whitelistIps: { paths: WHITELISTIPELEMENTS.map((element) => { return ['whitelist', element]; }), keys: ['ip_address', 'subnet_mask'] }
+};
+// ASM policy XML values which change on every export or differ by device
+const POLICYDIFFIGNORED = ['@name', '@integrity_check', 'policy_version'];
 const deviceGroupsUrl = 'http://localhost:8100/mgmt/shared/resolver/device-groups';
 const localauth = 'Basic ' + new Buffer('admin:').toString('base64');
 
@@ -45,12 +197,28 @@ const LOGGINGPREFIX = '[TrustedASMPolicies], ';
 // Async Request state object
 let requestedTasks = {};
 
+// Persisted settings, see DEFAULTSETTINGS
+let settings = Object.assign({}, DEFAULTSETTINGS);
+
+// Jobs created by POST requests, keyed by job ID
+let jobs = {};
+// Job ID for each host:port:policyName request state
+let jobTargets = {};
+
 // Concurrency Semaphores
 let inFlightExports = {}; // export from source ASM devices
 let inFlightDownloads = {}; // downloading policy from source device
 let inFlightUploads = {}; // uploading policy to target device
 let inFlightImports = {}; // import to target ASM devices
 
+// ASM tasks which are being polled, and those which should stop polling, keyed by host:port:taskId
+let polledTasks = {};
+let cancelledTasks = {};
+
+// Backup in progress and the timer for the next scheduled backup
+let runningBackup = null;
+let backupTimer = null;
+
 // polyfill old node to include [].includes
 if (!Array.prototype.includes) {
     Object.defineProperty(Array.prototype, 'includes', {
@@ -107,6 +275,580 @@ const copyFile = (filePath, symlink) => {
     }
 };
 
+const makeDirectory = (dirPath) => {
+    if (!fs.existsSync(dirPath)) {
+        makeDirectory(path.dirname(dirPath));
+        fs.mkdirSync(dirPath);
+    }
+};
+
+const generateId = () => {
+    const bytes = crypto.randomBytes(16);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = bytes.toString('hex');
+    return [hex.substr(0, 8), hex.substr(8, 4), hex.substr(12, 4), hex.substr(16, 4), hex.substr(20, 12)].join('-');
+};
+
+// constant time comparison of hex or base64 digests
+const digestsMatch = (expected, actual) => {
+    const expectedBuffer = Buffer.from(String(expected));
+    const actualBuffer = Buffer.from(String(actual));
+    return expectedBuffer.length == actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+};
+
+const toArray = (value) => {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+};
+
+const flattenPolicyObject = (obj, prefix, leaves) => {
+    Object.keys(obj).forEach((key) => {
+        const value = obj[key];
+        if (key == '_attributes') {
+            Object.keys(value).forEach((attr) => {
+                leaves[(prefix ? prefix + '.' : '') + '@' + attr] = value[attr];
+            });
+        } else if (key == '_text' || key == '_cdata') {
+            leaves[prefix] = value;
+        } else if (Array.isArray(value)) {
+            value.forEach((item, indx) => {
+                flattenPolicyObject(item, (prefix ? prefix + '.' : '') + key + '[' + indx + ']', leaves);
+            });
+        } else if (typeof value == 'object') {
+            flattenPolicyObject(value, (prefix ? prefix + '.' : '') + key, leaves);
+        }
+    });
+    return leaves;
+};
+
+const diffLeaves = (sourceLeaves, compareLeaves) => {
+    const diff = {
+        added: [],
+        removed: [],
+        modified: []
+    };
+    Object.keys(compareLeaves).forEach((leaf) => {
+        if (!sourceLeaves.hasOwnProperty(leaf)) {
+            diff.added.push({ path: leaf, value: compareLeaves[leaf] });
+        } else if (sourceLeaves[leaf] != compareLeaves[leaf]) {
+            diff.modified.push({ path: leaf, from: sourceLeaves[leaf], to: compareLeaves[leaf] });
+        }
+    });
+    Object.keys(sourceLeaves).forEach((leaf) => {
+        if (!compareLeaves.hasOwnProperty(leaf)) {
+            diff.removed.push({ path: leaf, value: sourceLeaves[leaf] });
+        }
+    });
+    return diff;
+};
+
+const getPolicySectionKey = (entry, keys) => {
+    const keyValues = [];
+    keys.forEach((key) => {
+        if (entry._attributes && entry._attributes.hasOwnProperty(key)) {
+            keyValues.push(entry._attributes[key]);
+        } else if (entry.hasOwnProperty(key)) {
+            const child = toArray(entry[key])[0];
+            if (child.hasOwnProperty('_text')) {
+                keyValues.push(child._text);
+            } else if (child._attributes && child._attributes.hasOwnProperty('name')) {
+                keyValues.push(child._attributes.name);
+            }
+        }
+    });
+    if (keyValues.length === 0) {
+        return JSON.stringify(entry);
+    }
+    return keyValues.join(':');
+};
+
+/**
+ * Remove the POLICYDIFFIGNORED attributes and elements from a policy root
+ * parsed with xml-js compact mode, so policies are compared by content only
+ */
+const removeIgnoredPolicyValues = (policyRoot) => {
+    POLICYDIFFIGNORED.forEach((ignored) => {
+        if (ignored.startsWith('@')) {
+            if (policyRoot._attributes) {
+                delete policyRoot._attributes[ignored.substr(1)];
+            }
+        } else {
+            delete policyRoot[ignored];
+        }
+    });
+    return policyRoot;
+};
+
+/**
+ * Structured diff of two ASM policies parsed with xml-js compact mode.
+ * Known list sections are matched entry by entry. All other values are
+ * compared as flattened element and attribute paths under settings.
+ */
+const diffPolicyObjects = (sourcePolicy, comparePolicy) => {
+    const sourceRoot = removeIgnoredPolicyValues(JSON.parse(JSON.stringify(sourcePolicy.policy || {})));
+    const compareRoot = removeIgnoredPolicyValues(JSON.parse(JSON.stringify(comparePolicy.policy || {})));
+    const diff = {
+        identical: true,
+        sections: {},
+        settings: null
+    };
+    Object.keys(POLICYDIFFSECTIONS).forEach((sectionName) => {
+        const section = POLICYDIFFSECTIONS[sectionName];
+        const sectionDiff = {
+            added: [],
+            removed: [],
+            modified: []
+        };
+        section.paths.forEach((sectionPath) => {
+            const sourceEntries = {};
+            const compareEntries = {};
+            [[sourceRoot, sourceEntries], [compareRoot, compareEntries]].forEach((pair) => {
+                toArray(pair[0][sectionPath[0]]).forEach((container) => {
+                    toArray(container[sectionPath[1]]).forEach((entry) => {
+                        pair[1][getPolicySectionKey(entry, section.keys)] = entry;
+                    });
+                    delete container[sectionPath[1]];
+                });
+            });
+            Object.keys(compareEntries).forEach((key) => {
+                if (!sourceEntries.hasOwnProperty(key)) {
+                    sectionDiff.added.push(key);
+                } else {
+                    const entryDiff = diffLeaves(flattenPolicyObject(sourceEntries[key], '', {}), flattenPolicyObject(compareEntries[key], '', {}));
+                    const changes = entryDiff.added.concat(entryDiff.removed, entryDiff.modified);
+                    if (changes.length > 0) {
+                        sectionDiff.modified.push({ name: key, added: entryDiff.added, removed: entryDiff.removed, modified: entryDiff.modified });
+                    }
+                }
+            });
+            Object.keys(sourceEntries).forEach((key) => {
+                if (!compareEntries.hasOwnProperty(key)) {
+                    sectionDiff.removed.push(key);
+                }
+            });
+        });
+        if (sectionDiff.added.length || sectionDiff.removed.length || sectionDiff.modified.length) {
+            diff.identical = false;
+        }
+        diff.sections[sectionName] = sectionDiff;
+    });
+    diff.settings = diffLeaves(flattenPolicyObject(sourceRoot, '', {}), flattenPolicyObject(compareRoot, '', {}));
+    if (diff.settings.added.length || diff.settings.removed.length || diff.settings.modified.length) {
+        diff.identical = false;
+    }
+    return diff;
+};
+
+// full path of a BIG-IP object, in the Common partition unless a partition is given
+const toFullPath = (name) => {
+    return String(name).startsWith('/') ? String(name) : '/Common/' + name;
+};
+
+// iControl REST path of a BIG-IP object full path
+const toRestPath = (fullPath) => {
+    return fullPath.replace(/\//g, '~');
+};
+
+// full path of the draft of an LTM policy
+const toDraftPath = (fullPath) => {
+    const parts = fullPath.split('/');
+    const name = parts.pop();
+    return parts.join('/') + '/Drafts/' + name;
+};
+
+const isAsmPolicyAction = (action, policyFullPath) => {
+    return !!(action.asm && action.enable && action.policy == policyFullPath);
+};
+
+// virtual servers and LTM policies which use a policy, as listed in messages
+const describePolicyReferences = (references) => {
+    const described = [];
+    if (references.virtualServers.length > 0) {
+        described.push('virtual servers ' + references.virtualServers.join(', '));
+    }
+    if (references.ltmPolicies.length > 0) {
+        described.push('LTM policies ' + references.ltmPolicies.map((ltmPolicy) => {
+            return ltmPolicy.name;
+        }).join(', '));
+    }
+    return described.join(' and ');
+};
+
+const getElementText = (element) => {
+    const first = toArray(element)[0];
+    return first && first.hasOwnProperty('_text') ? String(first._text) : null;
+};
+
+// the first child element with a name, which is added when it is missing
+const getChildElement = (parent, name) => {
+    if (!parent[name]) {
+        parent[name] = {};
+    }
+    return toArray(parent[name])[0];
+};
+
+/**
+ * Policy transforms applied to an ASM policy element parsed with xml-js
+ * compact mode. Each transform edits the policy in place and returns a
+ * description of each edit it made.
+ */
+const POLICYTRANSFORMS = {
+    enforcementMode: (policy, transform) => {
+        const blocking = getChildElement(policy, 'blocking');
+        const enforcementMode = getElementText(blocking.enforcement_mode);
+        if (enforcementMode == transform.value) {
+            return [];
+        }
+        blocking.enforcement_mode = { _text: transform.value };
+        return ['enforcement mode ' + (enforcementMode || 'unset') + ' changed to ' + transform.value];
+    },
+    description: (policy, transform) => {
+        if (getElementText(policy.description) == transform.value) {
+            return [];
+        }
+        policy.description = { _text: transform.value };
+        return ['description changed to ' + transform.value];
+    },
+    disableSignatures: (policy, transform) => {
+        const attackSignatures = getChildElement(policy, 'attack_signatures');
+        const signatures = toArray(attackSignatures.signature);
+        const edits = [];
+        transform.signatureIds.forEach((signatureId) => {
+            let signature = signatures.find((entry) => {
+                return entry._attributes && String(entry._attributes.signature_id) == String(signatureId);
+            });
+            if (!signature) {
+                signature = { _attributes: { signature_id: String(signatureId) } };
+                signatures.push(signature);
+            }
+            if (getElementText(signature.enabled) != 'false') {
+                signature.enabled = { _text: 'false' };
+                edits.push('signature ' + signatureId + ' disabled');
+            }
+        });
+        attackSignatures.signature = signatures;
+        return edits;
+    },
+    addWhitelistIps: (policy, transform) => {
+        const whitelist = getChildElement(policy, 'whitelist');
+        // new entries are added with the element name the policy already uses
+        const ipElement = WHITELISTIPELEMENTS.find((element) => {
+            return whitelist.hasOwnProperty(element);
+        }) || WHITELISTIPELEMENTS[0];
+        const ips = toArray(whitelist[ipElement]);
+        const otherIps = [].concat.apply([], WHITELISTIPELEMENTS.filter((element) => {
+            return element != ipElement;
+        }).map((element) => {
+            return toArray(whitelist[element]);
+        }));
+        const edits = [];
+        transform.ips.forEach((ip) => {
+            const subnetMask = ip.subnetMask || '255.255.255.255';
+            const exists = ips.concat(otherIps).some((entry) => {
+                return getElementText(entry.ip_address) == ip.ipAddress && getElementText(entry.subnet_mask) == subnetMask;
+            });
+            if (!exists) {
+                const entry = {
+                    ip_address: { _text: ip.ipAddress },
+                    subnet_mask: { _text: subnetMask }
+                };
+                if (ip.description) {
+                    entry.description = { _text: ip.description };
+                }
+                ips.push(entry);
+                edits.push('whitelist ip ' + ip.ipAddress + '/' + subnetMask + ' added');
+            }
+        });
+        whitelist[ipElement] = ips;
+        return edits;
+    },
+    removeWhitelistIps: (policy, transform) => {
+        const edits = [];
+        toArray(policy.whitelist).forEach((whitelist) => {
+            WHITELISTIPELEMENTS.forEach((element) => {
+                if (!whitelist.hasOwnProperty(element)) {
+                    return;
+                }
+                whitelist[element] = toArray(whitelist[element]).filter((entry) => {
+                    const ipAddress = getElementText(entry.ip_address);
+                    const subnetMask = getElementText(entry.subnet_mask);
+                    const removed = transform.ips.some((ip) => {
+                        return ip.ipAddress == ipAddress && (!ip.subnetMask || ip.subnetMask == subnetMask);
+                    });
+                    if (removed) {
+                        edits.push('whitelist ip ' + ipAddress + '/' + subnetMask + ' removed');
+                    }
+                    return !removed;
+                });
+                if (whitelist[element].length === 0) {
+                    delete whitelist[element];
+                }
+            });
+        });
+        return edits;
+    },
+    removeLearningSuggestions: (policy) => {
+        const edits = [];
+        POLICYSUGGESTIONELEMENTS.forEach((element) => {
+            if (policy.hasOwnProperty(element)) {
+                delete policy[element];
+                edits.push(element + ' removed');
+            }
+        });
+        return edits;
+    }
+};
+
+/**
+ * Apply policy transforms to ASM policy XML
+ * @returns {Object} the transformed xml and the edits made by each transform
+ */
+const transformPolicyXml = (policyXml, transforms) => {
+    const policyObj = convert.xml2js(policyXml, {
+        compact: true
+    });
+    if (!policyObj.policy) {
+        throw new Error('policy transforms can only be applied to an ASM policy XML file');
+    }
+    const policy = toArray(policyObj.policy)[0];
+    const results = transforms.map((transform) => {
+        const edits = POLICYTRANSFORMS[transform.op](policy, transform);
+        return {
+            op: transform.op,
+            applied: edits.length > 0,
+            edits: edits
+        };
+    });
+    return {
+        xml: convert.js2xml(policyObj, {
+            compact: true,
+            // js2xml only escapes double quotes in attribute values, escape the raw values for the rest
+            attributesFn: (attributes) => {
+                const escaped = {};
+                Object.keys(attributes).forEach((attribute) => {
+                    escaped[attribute] = String(attributes[attribute]).replace(/[&<']/g, (c) => {
+                        return { '&': '&amp;', '<': '&lt;', "'": '&apos;' }[c];
+                    });
+                });
+                return escaped;
+            }
+        }),
+        results: results
+    };
+};
+
+const globToRegExp = (glob) => {
+    const pattern = glob.split('').map((c) => {
+        if (c == '*') {
+            return '.*';
+        } else if (c == '?') {
+            return '.';
+        }
+        return c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+    return new RegExp('^' + pattern + '$', 'i');
+};
+
+// compare dotted TMOS versions numerically, missing parts compare as 0
+const compareVersions = (versionA, versionB) => {
+    const partsA = String(versionA).split('.');
+    const partsB = String(versionB).split('.');
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const a = parseInt(partsA[i] || '0', 10);
+        const b = parseInt(partsB[i] || '0', 10);
+        if (a != b) {
+            return a < b ? -1 : 1;
+        }
+    }
+    return 0;
+};
+
+/**
+ * Parse a TMOS version range. A range is either a wildcard version (15.x,
+ * 15.1.*) or space separated comparisons which must all match (>=14.1 <16).
+ * @returns {Array} comparators, or null if the range is not valid
+ */
+const parseVersionRange = (range) => {
+    const comparators = [];
+    let valid = true;
+    String(range).trim().split(/\s+/).forEach((term) => {
+        const match = /^(>=|<=|>|<|=)?(\d+(?:\.\d+)*)((?:\.(?:x|\*))?)$/i.exec(term);
+        if (!match || (match[1] && match[3])) {
+            valid = false;
+        } else if (match[3]) {
+            comparators.push({ op: 'prefix', version: match[2] });
+        } else {
+            comparators.push({ op: match[1] || '=', version: match[2] });
+        }
+    });
+    return valid ? comparators : null;
+};
+
+const versionInRange = (version, comparators) => {
+    return comparators.every((comparator) => {
+        const comparison = compareVersions(version, comparator.version);
+        switch (comparator.op) {
+            case 'prefix':
+                return String(version) == comparator.version || String(version).startsWith(comparator.version + '.');
+            case '>=':
+                return comparison >= 0;
+            case '<=':
+                return comparison <= 0;
+            case '>':
+                return comparison > 0;
+            case '<':
+                return comparison < 0;
+            default:
+                return comparison === 0;
+        }
+    });
+};
+
+const sha256Hex = (data) => {
+    return crypto.createHash('sha256').update(data).digest('hex');
+};
+
+// encode an S3 object key for a request path, keeping the / separators
+const encodeS3Key = (key) => {
+    return key.split('/').map((segment) => {
+        return encodeURIComponent(segment).replace(/[!'()*]/g, (c) => {
+            return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+        });
+    }).join('/');
+};
+
+// add AWS Signature Version 4 headers to an S3 request without a query string
+const signS3Request = (method, parsedUrl, headers, payloadHash, s3, date) => {
+    const amzDate = (date || new Date()).toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.substr(0, 8);
+    headers.host = parsedUrl.host;
+    headers['x-amz-date'] = amzDate;
+    headers['x-amz-content-sha256'] = payloadHash;
+    if (s3.sessionToken) {
+        headers['x-amz-security-token'] = s3.sessionToken;
+    }
+    const canonicalHeaders = {};
+    Object.keys(headers).forEach((header) => {
+        canonicalHeaders[header.toLowerCase()] = String(headers[header]).trim().replace(/\s+/g, ' ');
+    });
+    const signedHeaders = Object.keys(canonicalHeaders).sort();
+    const canonicalRequest = [
+        method,
+        parsedUrl.pathname,
+        '',
+        signedHeaders.map((header) => {
+            return header + ':' + canonicalHeaders[header] + '\n';
+        }).join(''),
+        signedHeaders.join(';'),
+        payloadHash
+    ].join('\n');
+    const scope = `${dateStamp}/${s3.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    let signingKey = 'AWS4' + s3.secretAccessKey;
+    [dateStamp, s3.region, 's3', 'aws4_request'].forEach((part) => {
+        signingKey = crypto.createHmac('sha256', signingKey).update(part).digest();
+    });
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+    headers.Authorization = `AWS4-HMAC-SHA256 Credential=${s3.accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`;
+    return headers;
+};
+
+const escapeXml = (value) => {
+    return String(value).replace(/[&<>"']/g, (c) => {
+        return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c];
+    });
+};
+
+// substitute policy template placeholders, returning the names of variables which are not defined
+const renderTemplate = (template, variables) => {
+    const missing = [];
+    const rendered = template.replace(TEMPLATEPATTERN, (placeholder, rawName, name) => {
+        const variable = rawName || name;
+        if (!variables.hasOwnProperty(variable)) {
+            if (!missing.includes(variable)) {
+                missing.push(variable);
+            }
+            return placeholder;
+        }
+        return rawName ? String(variables[variable]) : escapeXml(variables[variable]);
+    });
+    return { rendered: rendered, missing: missing };
+};
+
+// write a ustar archive of { name, content } files
+const createTarArchive = (files) => {
+    const mtime = Math.floor(new Date().getTime() / 1000);
+    const blocks = [];
+    files.forEach((file) => {
+        if (Buffer.byteLength(file.name) > 100) {
+            throw new Error('archive file name ' + file.name + ' is longer than 100 bytes');
+        }
+        const header = Buffer.alloc(TARBLOCKSIZE);
+        header.write(file.name, 0);
+        header.write('0000644\0', 100);
+        header.write('0000000\0', 108);
+        header.write('0000000\0', 116);
+        header.write(('00000000000' + file.content.length.toString(8)).slice(-11) + '\0', 124);
+        header.write(('00000000000' + mtime.toString(8)).slice(-11) + '\0', 136);
+        header.write('        ', 148);
+        header.write('0', 156);
+        header.write('ustar\u000000', 257);
+        let checksum = 0;
+        for (let i = 0; i < TARBLOCKSIZE; i++) {
+            checksum += header[i];
+        }
+        header.write(('000000' + checksum.toString(8)).slice(-6) + '\0 ', 148);
+        blocks.push(header, file.content, Buffer.alloc((TARBLOCKSIZE - file.content.length % TARBLOCKSIZE) % TARBLOCKSIZE));
+    });
+    // two empty blocks end the archive
+    blocks.push(Buffer.alloc(TARBLOCKSIZE * 2));
+    return Buffer.concat(blocks);
+};
+
+// read the regular files of a ustar archive into { name, content } files
+const readTarArchive = (archive) => {
+    const files = [];
+    let offset = 0;
+    while (offset + TARBLOCKSIZE <= archive.length) {
+        const header = archive.slice(offset, offset + TARBLOCKSIZE);
+        const readField = (start, length) => {
+            return header.toString('utf8', start, start + length).replace(/\0[\s\S]*$/, '');
+        };
+        let checksum = 0;
+        for (let i = 0; i < TARBLOCKSIZE; i++) {
+            checksum += (i >= 148 && i < 156) ? 32 : header[i];
+        }
+        if (checksum == 32 * 8) {
+            // an empty block ends the archive
+            break;
+        }
+        if (parseInt(readField(148, 8).trim(), 8) !== checksum) {
+            throw new Error('invalid tar header checksum at offset ' + offset);
+        }
+        const size = parseInt(readField(124, 12).trim(), 8);
+        let name = readField(0, 100);
+        if (readField(257, 6).startsWith('ustar') && readField(345, 155)) {
+            name = readField(345, 155) + '/' + name;
+        }
+        const type = readField(156, 1);
+        offset += TARBLOCKSIZE;
+        if (isNaN(size) || offset + size > archive.length) {
+            throw new Error('tar archive is truncated');
+        }
+        if (type === '0' || type === '') {
+            files.push({
+                name: name.replace(/^\.\//, ''),
+                content: archive.slice(offset, offset + size)
+            });
+        }
+        offset += Math.ceil(size / TARBLOCKSIZE) * TARBLOCKSIZE;
+    }
+    return files;
+};
+
 /**
  * Upload Worker
  *
@@ -121,8 +863,20 @@ class TrustedASMPoliciesWorker {
 
     onStart(success) {
         this.logger.info(LOGGINGPREFIX + 'received start event');
+        this.loadSettings();
+        this.recoverInterruptedJobs();
+        this.recoverInterruptedBackups();
         this.clearPolicyFileCache();
-        setInterval(() => { this.clearPolicyFileCache(); }, POLICYCACHETIME);
+        this.clearExpiredJobs();
+        this.clearExpiredBackups();
+        this.clearExpiredRecycleBinEntries();
+        this.scheduleBackups();
+        setInterval(() => {
+            this.clearPolicyFileCache();
+            this.clearExpiredJobs();
+            this.clearExpiredBackups();
+            this.clearExpiredRecycleBinEntries();
+        }, POLICYCACHETIME);
         success();
     }
 
@@ -136,6 +890,44 @@ class TrustedASMPoliciesWorker {
         const paths = restOperation.uri.pathname.split('/');
         const query = restOperation.getUri().query;
 
+        if (paths.length > 3 && paths[3] == DRIFTPATH) {
+            this.onGetDrift(restOperation);
+            return;
+        }
+
+        if (paths.length > 3 && paths[3] == DIFFPATH) {
+            this.onGetDiff(restOperation);
+            return;
+        }
+
+        if (paths.length > 3 && paths[3] == TASKSPATH) {
+            this.onGetTasks(restOperation, paths[4]);
+            return;
+        }
+
+        if (paths.length > 3 && paths[3] == BACKUPSPATH) {
+            this.onGetBackups(restOperation, paths[4]);
+            return;
+        }
+
+        if (paths.length > 3 && paths[3] == BUNDLESPATH) {
+            this.onGetBundle(restOperation);
+            return;
+        }
+
+        if (paths.length > 3 && paths[3] == RECYCLEBINPATH) {
+            this.onGetRecycleBin(restOperation, paths[4]);
+            return;
+        }
+
+        if (paths.length > 3 && paths[3] == SETTINGSPATH) {
+            restOperation.statusCode = 200;
+            restOperation.setContentType('application/json');
+            restOperation.body = this.getPublicSettings();
+            this.completeRestOperation(restOperation);
+            return;
+        }
+
         let targetDevice = null;
         let sourceDevice = null;
         let policyId = null;
@@ -165,7 +957,26 @@ class TrustedASMPoliciesWorker {
             policyId = paths[4];
         }
 
-        if (sourceDevice) {
+        if (query.scope && query.scope.toLowerCase() == 'all') {
+            // Get a policy inventory from all trusted devices
+            if (targetDevice || sourceDevice) {
+                const err = new Error(`target or source devices should not be defined when requesting scope=all`);
+                err.httpStatusCode = 400;
+                restOperation.fail(err);
+            } else {
+                this.getPolicyInventory(policyName, policyId)
+                    .then((inventory) => {
+                        restOperation.statusCode = 200;
+                        restOperation.setContentType('application/json');
+                        restOperation.body = inventory;
+                        this.completeRestOperation(restOperation);
+                    })
+                    .catch((err) => {
+                        err.httpStatusCode = 500;
+                        restOperation.fail(err);
+                    });
+            }
+        } else if (sourceDevice) {
             // Download Policy XML file from BIG-IP
             if (targetDevice) {
                 const err = new Error(`target device should not be defined when defining source device for policy XML file download`);
@@ -264,20 +1075,21 @@ class TrustedASMPoliciesWorker {
 
     }
     /**
-     * Post can take multiple query params (sourceHost, url, targetHost(s), policyId, policeName, targetPolicyName)
-     * exemple: /shared/TrustedASMPolicies?sourceHost=10.144.72.135&sourcePort=443&targetHost=10.144.72.186&targetPort=443&policyName=linux-high&targetPolicyName=imported-linux-high
+     * Drift report can take query params (sourceHost || sourceUUID, policyName || policyId,
+     * targetHost(s) || targetUUID(s) || target selectors, targetPolicyName, compareContent)
+     * example: /shared/TrustedASMPolicies/drift?sourceHost=10.144.72.135&policyName=linux-high&targetHosts=10.144.72.186,10.144.72.187
      * @param {RestOperation} restOperation
      */
-    onPost(restOperation) {
-        this.logger.info(LOGGINGPREFIX + 'received POST request event');
+    onGetDrift(restOperation) {
         const query = restOperation.getUri().query;
 
         let sourceDevice = null;
-        let sourceUrl = null;
         let targetDevices = [];
         let policyId = null;
         let policyName = null;
         let targetPolicyName = null;
+        let compareContent = false;
+        const targetSelector = this.getTargetSelector(query, {});
 
         if (query.sourceHost) {
             sourceDevice = query.sourceHost;
@@ -285,10 +1097,6 @@ class TrustedASMPoliciesWorker {
             sourceDevice = query.sourceUUID;
         }
 
-        if (query.url) {
-            sourceUrl = query.url;
-        }
-
         if (query.targetHost) {
             targetDevices = [query.targetHost];
         } else if (query.targetUUID) {
@@ -313,519 +1121,3995 @@ class TrustedASMPoliciesWorker {
             targetPolicyName = query.targetPolicyName;
         }
 
-        const createBody = restOperation.getBody();
-        if (createBody.hasOwnProperty('sourceHost')) {
-            sourceDevice = createBody.sourceHost;
-        }
-        if (createBody.hasOwnProperty('sourceUUID')) {
-            sourceDevice = createBody.sourceUUID;
-        }
-        if (createBody.hasOwnProperty('url')) {
-            sourceUrl = createBody.url;
-        }
-        if (createBody.hasOwnProperty('targetHost')) {
-            targetDevices = [createBody.targetHost];
-        }
-        if (createBody.hasOwnProperty('targetHosts')) {
-            targetDevices = createBody.targetHosts;
-        }
-        if (createBody.hasOwnProperty('targetUUID')) {
-            targetDevices = [createBody.targetUUID];
-        }
-        if (createBody.hasOwnProperty('targetUUIDs')) {
-            targetDevices = createBody.targetUUIDs;
+        if (query.compareContent) {
+            if (query.compareContent.toLowerCase() === 'true' || query.compareContent === '1') {
+                compareContent = true;
+            }
         }
-        if (createBody.hasOwnProperty('policyId')) {
-            policyId = createBody.policyId;
+
+        if (!(sourceDevice && (policyName || policyId))) {
+            const err = new Error('drift report requires a sourceHost or sourceUUID and a policyName or policyId');
+            err.httpStatusCode = 400;
+            restOperation.fail(err);
+        } else if (targetDevices.length === 0 && !targetSelector) {
+            const err = new Error('drift report requires a targetHost, targetUUID, targetHosts, targetUUIDs or a target selector');
+            err.httpStatusCode = 400;
+            restOperation.fail(err);
+        } else {
+            this.resolveTargetDevices(targetDevices, targetSelector)
+                .then((targets) => {
+                    return this.getDriftReport(sourceDevice, policyId, policyName, targets, targetPolicyName, compareContent);
+                })
+                .then((report) => {
+                    restOperation.statusCode = 200;
+                    restOperation.setContentType('application/json');
+                    restOperation.body = report;
+                    this.completeRestOperation(restOperation);
+                })
+                .catch((err) => {
+                    if (!err.httpStatusCode) {
+                        err.httpStatusCode = 400;
+                    }
+                    restOperation.fail(err);
+                });
         }
-        if (createBody.hasOwnProperty('policyName')) {
-            policyName = createBody.policyName;
+    }
+
+    /**
+     * Diff can take query params for the source policy (sourceHost || sourceUUID, policyName || policyId)
+     * or sourceFile, and for the compared policy (compareHost || compareUUID, comparePolicyName || comparePolicyId)
+     * or compareFile. The compared policy device defaults to the source device.
+     * example: /shared/TrustedASMPolicies/diff?sourceHost=10.144.72.135&policyName=linux-high&compareHost=10.144.72.186
+     * @param {RestOperation} restOperation
+     */
+    onGetDiff(restOperation) {
+        const query = restOperation.getUri().query;
+
+        let sourceDevice = null;
+        let compareDevice = null;
+
+        if (query.sourceHost) {
+            sourceDevice = query.sourceHost;
+        } else if (query.sourceUUID) {
+            sourceDevice = query.sourceUUID;
         }
-        if (createBody.hasOwnProperty('targetPolicyName')) {
-            targetPolicyName = createBody.targetPolicyName;
+
+        if (query.compareHost) {
+            compareDevice = query.compareHost;
+        } else if (query.compareUUID) {
+            compareDevice = query.compareUUID;
+        } else {
+            compareDevice = sourceDevice;
         }
 
-        // exit if no source policy and or policy targets
-        if ((!sourceUrl) && (!((policyName || policyId) && sourceDevice))) {
-            const targetError = new Error('must supply a source URL or else a sourceHost or sourceUUID and a policyName');
-            this.logger.severe(LOGGINGPREFIX + targetError.message);
-            targetError.httpStatusCode = 404;
-            restOperation.fail(targetError);
-            if (sourceUrl) {
-                try {
-                    new url.URL(sourceUrl);
-                } catch (err) {
-                    this.logger.severe(LOGGINGPREFIX + err.message);
-                    err.httpStatusCode = 404;
-                    restOperation.fail(err);
-                }
+        const comparePolicyName = query.comparePolicyName || query.policyName;
+        const comparePolicyId = query.comparePolicyId;
+
+        if (!(query.sourceFile || (sourceDevice && (query.policyName || query.policyId)))) {
+            const err = new Error('diff requires a sourceFile or a sourceHost or sourceUUID and a policyName or policyId');
+            err.httpStatusCode = 400;
+            restOperation.fail(err);
+        } else if (!(query.compareFile || (compareDevice && (comparePolicyName || comparePolicyId)))) {
+            const err = new Error('diff requires a compareFile or a compareHost or compareUUID and a comparePolicyName or comparePolicyId');
+            err.httpStatusCode = 400;
+            restOperation.fail(err);
+        } else {
+            let sourcePromise = null;
+            let comparePromise = null;
+            if (query.sourceFile) {
+                sourcePromise = this.resolveCachedPolicyFile(query.sourceFile);
+            } else {
+                sourcePromise = this.exportPolicyToFile(sourceDevice, query.policyId, query.policyName);
             }
-        }
-        if (!(targetDevices.length > 0 && targetPolicyName)) {
-            const targetError = new Error('must supply a targetHost, targetUUID, targetHosts, or targetUUIDs and a targetPolicyName');
-            this.logger.severe(LOGGINGPREFIX + targetError.message);
-            targetError.httpStatusCode = 404;
-            restOperation.fail(targetError);
-        }
-        // validate hosts and create request states for initial return to POST request
-        const validationPromises = [];
-        const returnTasks = [];
-        targetDevices.map((targetDevice) => {
-            validationPromises.push(
-                this.validateTarget(targetDevice)
-                    .then((target) => {
-                        let requestIndex = `${target.targetHost}:${target.targetPort}:${targetPolicyName}`;
-                        let returnPolicy = {
-                            id: UNKNOWN,
-                            name: targetPolicyName,
-                            targetHost: target.targetHost,
-                            targetPort: target.targetPort,
-                            enforcementMode: UNKNOWN,
-                            lastChanged: UNKNOWN,
-                            lastChange: UNKNOWN,
-                            state: REQUESTED,
-                            path: UNKNOWN
-                        };
-                        if (sourceUrl) {
-                            returnPolicy.id = sourceUrl;
-                        } else {
-                            returnPolicy.id = `${sourceDevice}:${policyName}`;
-                        }
-                        requestedTasks[requestIndex] = returnPolicy;
-                        returnTasks.push(returnPolicy);
-                    })
-            );
-        });
-        if (sourceUrl) {
-            // Download policy XML from a source URL and import and apply on target device
-            const sourcePolicyTimestamp = new Date().getTime();
-            this.downloadPolicyFile(sourceUrl, targetPolicyName, sourcePolicyTimestamp)
-                .then((policyFile) => {
-                    targetDevices.map((targetDevice) => {
-                        // re-validate the target to make sure it is still valid for policy processing
-                        this.validateTarget(targetDevice)
-                            .then((target) => {
-                                this.logger.info(LOGGINGPREFIX + 'request made to import policy ' + targetPolicyName + ' from url ' + sourceUrl + ' on device ' + target.targetUUID + ' ' + target.targetHost + ':' + target.targetPort);
-                                let requestIndex = `${target.targetHost}:${target.targetPort}:${targetPolicyName}`;
-                                this.updateInflightState(target.targetHost, target.targetPort, targetPolicyName, IMPORTING);
-                                this.validateFileIsValidASMPolicy(policyFile, target.targetVersion)
-                                    .then(() => {
-                                        this.updateInflightState(target.targetHost, target.targetPort, targetPolicyName, QUERYING);
-                                        return this.getPoliciesOnBigIP(target.targetHost, target.targetPort, true);
-                                    })
-                                    .then((targetPolicies) => {
-                                        let needToRemove = false;
-                                        let targetPolicyId = null;
-                                        targetPolicies.forEach((targetPolicy) => {
-                                            if (targetPolicyName == targetPolicy.name) {
-                                                // the policy WAS found on the target device, flag the policy for removal
-                                                this.logger.info(LOGGINGPREFIX + 'requested policy name:' + targetPolicyName + ' was found on the target device. removing policy from target device.');
-                                                needToRemove = true;
-                                                targetPolicyId = targetPolicy.id;
-                                            }
-                                        });
-                                        if (needToRemove) {
-                                            // the policy on the target device was not the right version, delete it and continue processing
-                                            this.updateInflightState(target.targetHost, target.targetPort, targetPolicyName, REMOVING);
-                                            return this.deleteTaskOnBigIP(target.targetHost, target.targetPort, targetPolicyId, false);
-                                        }
-                                    })
-                                    .then(() => {
-                                        return this.importPolicyToBigIP(target.targetHost, target.targetPort, targetPolicyName, targetPolicyName, sourcePolicyTimestamp);
-                                    })
-                                    .then((newPolicyId) => {
-                                        this.logger.info(LOGGINGPREFIX + 'policy ' + targetPolicyName + ' with policyId: ' + newPolicyId + ' was imported and applied on ' + target.targetUUID + ' ' + target.targetHost + ':' + target.targetPort);
-                                    })
-                                    .catch((err) => {
-                                        if (requestedTasks.hasOwnProperty(requestIndex)) {
-                                            this.logger.severe(LOGGINGPREFIX + 'error processing ASM policy in state:' + requestedTasks[requestIndex].state + ' - ' + err.message);
-                                            this.updateInflightState(target.targetHost, target.targetPort, targetPolicyName, ERROR, err.message);
-                                        } else {
-                                            this.logger.severe(LOGGINGPREFIX + 'error after applying ASM policy - ' + err.message);
-                                            this.updateInflightState(target.targetHost, target.targetPort, targetPolicyName, ERROR, err.message);
-                                        }
-                                    });
-                            });
-                        // end targetDevice map
-                    });
+            if (query.compareFile) {
+                comparePromise = this.resolveCachedPolicyFile(query.compareFile);
+            } else {
+                comparePromise = this.exportPolicyToFile(compareDevice, comparePolicyId, comparePolicyName);
+            }
+            Promise.all([sourcePromise, comparePromise])
+                .then((policies) => {
+                    const policyDiff = this.getPolicyDiff(policies[0].file, policies[1].file);
+                    policyDiff.source = policies[0];
+                    policyDiff.compare = policies[1];
+                    restOperation.statusCode = 200;
+                    restOperation.setContentType('application/json');
+                    restOperation.body = policyDiff;
+                    this.completeRestOperation(restOperation);
                 })
                 .catch((err) => {
-                    // policy download error
-                    this.logger.severe(LOGGINGPREFIX + err.message);
-                    err.httpStatusCode = 500;
-                    restOperation.fail(err);
-                });
-        } else {
-            // validate the source device before returning initial POST request response
-            validationPromises.push(this.validateTarget(sourceDevice));
-            // Use validate source device to populate source object for promise
-            // chain which pulls source policy and pushes to targetDevice(s).
-            // Calling twice is messy looking, but invalid source device will both
-            // trigger an error to initial POST request and stop further async
-            // processing this way.
-            this.validateTarget(sourceDevice)
-                .then((source) => {
-                    // clean up input variable
-                    let sourcePolicyId = targetPolicyName;
-                    let sourcePolicyName = false;
-                    let sourcePolicyLastChanged = null;
-                    let sourcePolicyTimestamp = null;
-                    if (policyId) {
-                        sourcePolicyId = policyId;
+                    if (!err.httpStatusCode) {
+                        err.httpStatusCode = 400;
                     }
-                    let requestIndex = null;
-                    this.getPoliciesOnBigIP(source.targetHost, source.targetPort)
-                        .then((sourcePolicies) => {
-                            sourcePolicies.forEach((sourcePolicy) => {
-                                if ((policyId && sourcePolicy.id == policyId) || (policyName && policyName == sourcePolicy.name)) {
-                                    sourcePolicyId = sourcePolicy.id;
-                                    sourcePolicyName = sourcePolicy.name;
-                                    sourcePolicyLastChanged = sourcePolicy.lastChanged;
-                                    sourcePolicyTimestamp = new Date(sourcePolicy.lastChanged).getTime();
-                                }
-                            });
-                            if (!sourcePolicyName) {
-                                const throwErr = new Error(`source policy ${policyName} could not be found on ${source.targetHost}:${source.targetPort}`);
-                                throw throwErr;
-                            } else {
-                                this.logger.info(LOGGINGPREFIX + 'request made to transfer and import source policy ' + sourcePolicyName + ' as ' + targetPolicyName + ' from source device ' + source.targetUUID + ' ' + source.targetHost + ":" + source.targetPort);
-                                this.logger.info(LOGGINGPREFIX + 'source policy ' + sourcePolicyName + ' was found on source device as policy id: ' + sourcePolicyId + ' last changed: ' + sourcePolicyLastChanged);
-                                this.exportPolicyFromBigIP(source.targetHost, source.targetPort, sourcePolicyId, sourcePolicyTimestamp)
-                                    .then(() => {
-                                        targetDevices.map((targetDevice) => {
-                                            // re-validate the target host to make sure it is still valid for policy processing
-                                            this.validateTarget(targetDevice)
-                                                .then((target) => {
-                                                    this.logger.info(LOGGINGPREFIX + 'request made to import source policy ' + sourcePolicyName + ' as ' + targetPolicyName + ' from source device ' + source.targetUUID + ' ' + source.targetHost + ":" + source.targetPort + ' on device ' + target.targetUUID + ' ' + target.targetHost + ':' + target.targetPort);
-                                                    let requestIndex = `${target.targetHost}:${target.targetPort}:${targetPolicyName}`;
-                                                    if (this.validateTMOSCompatibility(source.targetVersion, target.targetVersion)) {
-                                                        this.updateInflightState(target.targetHost, target.targetPort, targetPolicyName, QUERYING);
-                                                        this.getPoliciesOnBigIP(target.targetHost, target.targetPort, true)
-                                                            .then((targetPolicies) => {
-                                                                let needToRemove = false;
-                                                                let targetPolicyId = null;
-                                                                targetPolicies.forEach((targetPolicy) => {
-                                                                    if (targetPolicyName == targetPolicy.name && sourcePolicyLastChanged == targetPolicy.lastChanged) {
-                                                                        // the policy WAS found on the target device and it is the same exact policy version.. no further processing needed
-                                                                        this.logger.info(LOGGINGPREFIX + 'requested policy name:' + targetPolicyName + ' lastChanged:' + targetPolicy.lastChanged + ' already exists on target device:' + target.targetUUID + ' ' + target.targetHost + ':' + target.targetPort);
-                                                                        // setting to FINISHED will remove the requestedTask entry
-                                                                        this.updateInflightState(target.targetHost, target.targetPort, targetPolicyName, FINISHED);
-                                                                    } else if (targetPolicyName == targetPolicy.name) {
-                                                                        // the policy WAS found on the target device, but it was another version, flag the policy for removal
-                                                                        this.logger.info(LOGGINGPREFIX + 'requested policy name:' + targetPolicyName + ' was found on the target device but the lastChanged timestamps (source: ' + sourcePolicyLastChanged + ' target: ' + targetPolicy.lastChanged + ') were not the same. removing policy from target device.');
-                                                                        needToRemove = true;
-                                                                        targetPolicyId = targetPolicy.id;
-                                                                    }
-                                                                });
-                                                                if (needToRemove) {
-                                                                    // the policy on the target device was not the right version, delete it and continue processing
-                                                                    this.updateInflightState(target.targetHost, target.targetPort, targetPolicyName, REMOVING);
-                                                                    return this.deleteTaskOnBigIP(target.targetHost, target.targetPort, targetPolicyId, false);
-                                                                }
-                                                            })
-                                                            .then(() => {
-                                                                if (requestedTasks.hasOwnProperty(requestIndex)) {
-                                                                    return this.importPolicyToBigIP(target.targetHost, target.targetPort, sourcePolicyId, targetPolicyName, sourcePolicyTimestamp);
-                                                                }
-                                                            })
-                                                            .then(() => {
-                                                                this.logger.info(LOGGINGPREFIX + 'policy ' + sourcePolicyId + ' imported and applied on ' + target.targetUUID + ' ' + target.targetHost + ':' + target.targetPort);
-                                                            })
-                                                            .catch((err) => {
-                                                                this.logger.severe(LOGGINGPREFIX + 'error processing ASM policy - ' + err.message);
-                                                            });
-                                                    } else {
-                                                        this.logger.severe('Policy TMOS version:' + source.targetVersion + ' is not compatible with ASM on ' + target.targetVersion + ' on device ' + target.targetUUID + '. Skipping policy import for this device.');
-                                                    }
-                                                });
-                                            // end targetDevice map
-                                        });
-                                    })
-                                    .catch((err) => {
-                                        err.httpStatusCode = 500;
-                                        restOperation.fail(err);
-                                    });
-                            }
-                        })
-                        .catch((err) => {
-                            err.httpStatusCode = 400;
-                            restOperation.fail(err);
-                        });
-                })
-                .catch((err) => {
-                    err.httpStatusCode = 400;
                     restOperation.fail(err);
                 });
         }
-        // wait for all validation promises to return before returning initial post response
-        Promise.all(validationPromises)
-            .then(() => {
-                // set state to DOWNLOADING for source URL download
-                if (sourceUrl) {
-                    targetDevices.map((targetDevice) => {
-                        this.validateTarget(targetDevice)
-                            .then((target) => {
-                                this.updateInflightState(target.targetHost, target.targetPort, targetPolicyName, DOWNLOADING);
-                            });
-                    });
-                }
-                restOperation.statusCode = 202;
+    }
+
+    /**
+     * Tasks returns all jobs created by POST requests, or a single job by ID
+     * example: /shared/TrustedASMPolicies/tasks/7f1a3c0e-4b5e-4d6b-9a3c-1e2f3a4b5c6d
+     * @param {RestOperation} restOperation
+     * @param {String} jobId optional job ID
+     */
+    onGetTasks(restOperation, jobId) {
+        if (jobId) {
+            const job = this.getJob(jobId);
+            if (job) {
+                restOperation.statusCode = 200;
                 restOperation.setContentType('application/json');
-                restOperation.body = returnTasks;
+                restOperation.body = job;
                 this.completeRestOperation(restOperation);
-            })
-            .catch((err) => {
-                this.logger.severe(LOGGINGPREFIX + err.message);
-                err.httpStatusCode = 400;
+            } else {
+                const err = new Error('task ' + jobId + ' was not found');
+                err.httpStatusCode = 404;
                 restOperation.fail(err);
+            }
+        } else {
+            restOperation.statusCode = 200;
+            restOperation.setContentType('application/json');
+            restOperation.body = this.getJobs().map((job) => {
+                return {
+                    id: job.id,
+                    state: job.state,
+                    targetPolicyName: job.targetPolicyName,
+                    created: job.created,
+                    lastUpdated: job.lastUpdated
+                };
             });
+            this.completeRestOperation(restOperation);
+        }
     }
+
     /**
-     * Delete can take 4 query params (targetHost, targetPort, policyId, policyName)
-     * example: /shared/TrustedASMPolicies?targetHost=10.144.72.186&targetPort=443&policyName=linux-high
+     * Get lists backups, the backup schedule, a backup manifest or a
+     * backed up policy XML file when a source device and policy are given
+     * example: /shared/TrustedASMPolicies/backups/{backupId}?sourceHost=10.144.72.135&policyName=linux-high
      * @param {RestOperation} restOperation
+     * @param {String} backupId backup ID or schedule
      */
-    onDelete(restOperation) {
-        this.logger.info(LOGGINGPREFIX + 'received DELETE request event');
-        const paths = restOperation.uri.pathname.split('/');
+    onGetBackups(restOperation, backupId) {
         const query = restOperation.getUri().query;
-        this.logger.fine(`onDelete: paths=${JSON.stringify(paths)} query=${JSON.stringify(query)}`);
-        if(Object.keys(query).length === 0 && paths.length === 3) {
-            throw new Error(`DELETE request must specify (targetHost || targetUUID) && (policyId or policyName) as query parameters or have a URI in the format '.../TrustedASMPolicies/<targetHost||targetUUID>/<policyId||policyName>'`);
+        if (backupId == BACKUPSCHEDULEPATH) {
+            restOperation.statusCode = 200;
+            restOperation.setContentType('application/json');
+            restOperation.body = this.getBackupSchedule();
+            this.completeRestOperation(restOperation);
+        } else if (backupId) {
+            const backup = this.getBackup(backupId);
+            if (!backup) {
+                const err = new Error('backup ' + backupId + ' was not found');
+                err.httpStatusCode = 404;
+                restOperation.fail(err);
+                return;
+            }
+            const sourceDevice = query.sourceHost || query.sourceUUID;
+            if (sourceDevice || query.policyName || query.policyId) {
+                const entry = this.findBackupEntry(backup, sourceDevice, query.policyId, query.policyName);
+                if (!entry) {
+                    const err = new Error('backup ' + backupId + ' has no policy matching the sourceHost or sourceUUID and policyName or policyId');
+                    err.httpStatusCode = 404;
+                    restOperation.fail(err);
+                    return;
+                }
+                let policyContent = null;
+                try {
+                    policyContent = this.readBackupPolicyFile(backupId, entry);
+                } catch (err) {
+                    restOperation.fail(err);
+                    return;
+                }
+                restOperation.statusCode = 200;
+                restOperation.setHeaders({
+                    'Content-Type': 'text/xml',
+                    'Content-Disposition': 'attachment; filename="' + entry.policyName + '.xml"'
+                });
+                restOperation.body = policyContent.toString();
+                this.completeRestOperation(restOperation);
+            } else {
+                restOperation.statusCode = 200;
+                restOperation.setContentType('application/json');
+                restOperation.body = backup;
+                this.completeRestOperation(restOperation);
+            }
+        } else {
+            restOperation.statusCode = 200;
+            restOperation.setContentType('application/json');
+            restOperation.body = this.getBackups().map((backup) => {
+                return this.getBackupSummary(backup);
+            });
+            this.completeRestOperation(restOperation);
         }
+    }
 
-        let targetDevice = null;
-        let policyId = null;
-        let policyName = null;
+    /**
+     * Get the recycle bin entries, newest first, optionally for a targetHost
+     * or targetUUID and a policyName, or a single entry
+     * example: /shared/TrustedASMPolicies/recyclebin?targetHost=10.144.72.186&policyName=linux-high
+     * @param {RestOperation} restOperation
+     * @param {String} entryId recycle bin entry ID
+     */
+    onGetRecycleBin(restOperation, entryId) {
+        const query = restOperation.getUri().query;
+        if (entryId) {
+            const entry = this.getRecycleBinEntry(entryId);
+            if (!entry) {
+                const err = new Error('recycle bin entry ' + entryId + ' was not found');
+                err.httpStatusCode = 404;
+                restOperation.fail(err);
+                return;
+            }
+            restOperation.statusCode = 200;
+            restOperation.setContentType('application/json');
+            restOperation.body = entry;
+            this.completeRestOperation(restOperation);
+            return;
+        }
+        const targetDevice = query.targetHost || query.targetUUID;
+        restOperation.statusCode = 200;
+        restOperation.setContentType('application/json');
+        restOperation.body = this.getRecycleBinEntries().reverse().filter((entry) => {
+            return (!targetDevice || entry.targetHost == targetDevice || entry.targetUUID == targetDevice) &&
+                (!query.policyName || entry.policyName == query.policyName);
+        });
+        this.completeRestOperation(restOperation);
+    }
 
-        if (query.targetHost) {
-            targetDevice = query.targetHost;
-        } else if (query.targetUUID) {
-            targetDevice = query.targetUUID;
-        } else if (paths.length > 3) {
-            targetDevice = paths[3];
+    /**
+     * Export several policies from a source device as one gzipped tar bundle
+     * with a manifest.json. Policies are selected by policyNames, policyPrefix or allPolicies.
+     * example: /shared/TrustedASMPolicies/bundles?sourceHost=10.144.72.135&policyPrefix=linux-
+     * @param {RestOperation} restOperation
+     */
+    onGetBundle(restOperation) {
+        const query = restOperation.getUri().query;
+        const sourceDevice = query.sourceHost || query.sourceUUID;
+        const selections = ['policyNames', 'policyPrefix', 'allPolicies'].filter((option) => {
+            return query[option];
+        });
+        let bundleError = null;
+        if (!sourceDevice) {
+            bundleError = 'bundle export requires a sourceHost or sourceUUID';
+        } else if (selections.length != 1) {
+            bundleError = 'bundle export requires one of policyNames, policyPrefix or allPolicies=true';
+        } else if (query.allPolicies && !(query.allPolicies.toLowerCase() === 'true' || query.allPolicies === '1')) {
+            bundleError = 'allPolicies must be true to export all policies';
         }
+        if (bundleError) {
+            const err = new Error(bundleError);
+            this.logger.severe(LOGGINGPREFIX + err.message);
+            err.httpStatusCode = 400;
+            restOperation.fail(err);
+            return;
+        }
+        const policyNames = query.policyNames ? query.policyNames.split(',') : null;
+        this.createPolicyBundle(sourceDevice, policyNames, query.policyPrefix || null)
+            .then((bundle) => {
+                this.logger.info(LOGGINGPREFIX + 'exported a bundle of ' + bundle.manifest.policies.length + ' policies from ' + bundle.manifest.sourceHost + ':' + bundle.manifest.sourcePort);
+                restOperation.statusCode = 200;
+                restOperation.setHeaders({
+                    'Content-Type': 'application/gzip',
+                    'Content-Disposition': 'attachment; filename="' + bundle.manifest.sourceHost + '-policies.tar.gz"'
+                });
+                restOperation.body = bundle.archive;
+                this.completeRestOperation(restOperation);
+            })
+            .catch((err) => {
+                this.logger.severe(LOGGINGPREFIX + 'could not export policy bundle from ' + sourceDevice + ' - ' + err.message);
+                if (!err.httpStatusCode) {
+                    err.httpStatusCode = 500;
+                }
+                restOperation.fail(err);
+            });
+    }
 
-        if (query.policyId) {
-            policyId = query.policyId;
-        } else if (paths.length > 4) {
-            policyId = paths[4];
+    /**
+     * Put updates the extension settings or the backup schedule
+     * example: /shared/TrustedASMPolicies/settings
+     * @param {RestOperation} restOperation
+     */
+    onPut(restOperation) {
+        this.logger.info(LOGGINGPREFIX + 'received PUT request event');
+        const paths = restOperation.uri.pathname.split('/');
+        if (paths.length > 4 && paths[3] == BACKUPSPATH && paths[4] == BACKUPSCHEDULEPATH) {
+            this.onPutBackupSchedule(restOperation);
+        } else if (paths.length > 3 && paths[3] == SETTINGSPATH) {
+            try {
+                this.saveSettings(restOperation.getBody());
+                this.scheduleBackups();
+                restOperation.statusCode = 200;
+                restOperation.setContentType('application/json');
+                restOperation.body = this.getPublicSettings();
+                this.completeRestOperation(restOperation);
+            } catch (err) {
+                if (!err.httpStatusCode) {
+                    err.httpStatusCode = 500;
+                }
+                restOperation.fail(err);
+            }
+        } else {
+            const err = new Error('PUT requests are only supported for ' + SETTINGSPATH + ' and ' + BACKUPSPATH + '/' + BACKUPSCHEDULEPATH);
+            err.httpStatusCode = 400;
+            restOperation.fail(err);
+        }
+    }
+
+    /**
+     * Put the backup schedule, the intervalHours and retentionDays settings
+     * example: /shared/TrustedASMPolicies/backups/schedule
+     * @param {RestOperation} restOperation
+     */
+    onPutBackupSchedule(restOperation) {
+        const scheduleBody = restOperation.getBody();
+        const newSettings = {};
+        if (scheduleBody.hasOwnProperty('intervalHours')) {
+            newSettings.backupIntervalHours = scheduleBody.intervalHours;
+        }
+        if (scheduleBody.hasOwnProperty('retentionDays')) {
+            newSettings.backupRetentionDays = scheduleBody.retentionDays;
+        }
+        try {
+            this.saveSettings(newSettings);
+            this.scheduleBackups();
+            restOperation.statusCode = 200;
+            restOperation.setContentType('application/json');
+            restOperation.body = this.getBackupSchedule();
+            this.completeRestOperation(restOperation);
+        } catch (err) {
+            if (!err.httpStatusCode) {
+                err.httpStatusCode = 500;
+            }
+            restOperation.fail(err);
+        }
+    }
+
+    /**
+     * Post can take multiple query params (sourceHost, url, targetHost(s) or target selectors, policyId, policeName, targetPolicyName)
+     * exemple: /shared/TrustedASMPolicies?sourceHost=10.144.72.135&sourcePort=443&targetHost=10.144.72.186&targetPort=443&policyName=linux-high&targetPolicyName=imported-linux-high
+     * @param {RestOperation} restOperation
+     */
+    onPost(restOperation) {
+        this.logger.info(LOGGINGPREFIX + 'received POST request event');
+        const paths = restOperation.uri.pathname.split('/');
+        const query = restOperation.getUri().query;
+
+        if (paths.length > 3 && paths[3] == EXPORTSPATH) {
+            this.onPostExport(restOperation);
+            return;
+        }
+
+        if (paths.length > 3 && paths[3] == BACKUPSPATH) {
+            this.onPostBackup(restOperation);
+            return;
+        }
+
+        if (paths.length > 3 && paths[3] == APPLYPATH) {
+            this.onPostApply(restOperation);
+            return;
+        }
+
+        // a bundle import takes the bundle url or bundleBase64 and the target parameters
+        const bundle = paths.length > 3 && paths[3] == BUNDLESPATH;
+        let createBody = restOperation.getBody();
+
+        // restoring a recycle bin entry is a restore of the entry with any other POST parameters
+        if (paths.length > 3 && paths[3] == RECYCLEBINPATH) {
+            if (!paths[4]) {
+                const err = new Error('POST request must specify a recycle bin entry in the format \'.../TrustedASMPolicies/' + RECYCLEBINPATH + '/<entryId>\'');
+                err.httpStatusCode = 400;
+                restOperation.fail(err);
+                return;
+            }
+            createBody = Object.assign({}, createBody && typeof createBody == 'object' && !Array.isArray(createBody) ? createBody : {}, {
+                recycleBinId: paths[4]
+            });
+        }
+
+        if (Array.isArray(createBody) && !bundle) {
+            this.onPostBatch(restOperation, query, createBody);
+            return;
+        }
+
+        let parsedRequest = null;
+        try {
+            parsedRequest = this.parsePostRequest(query, createBody, bundle);
+        } catch (err) {
+            this.logger.severe(LOGGINGPREFIX + err.message);
+            restOperation.fail(err);
+            return;
+        }
+        const request = parsedRequest.request;
+        const startRequest = () => {
+            if (bundle) {
+                this.onPostBundle(restOperation, request, parsedRequest.downloadOptions, parsedRequest.bundleData, parsedRequest.dryRun);
+            } else if (parsedRequest.dryRun) {
+                this.onPostDryRun(restOperation, request, parsedRequest.downloadOptions, parsedRequest.policyXml);
+            } else {
+                this.processPostRequest(restOperation, request, parsedRequest.downloadOptions, parsedRequest.policyXml);
+            }
+        };
+        if (request.targetSelector) {
+            // resolve the selected target devices at request time
+            this.resolveTargetDevices(request.targetDevices, request.targetSelector)
+                .then((targets) => {
+                    request.targetDevices = targets.map((target) => {
+                        return target.targetHost;
+                    });
+                    this.logger.info(LOGGINGPREFIX + 'target selector ' + JSON.stringify(request.targetSelector) + ' resolved to target devices ' + request.targetDevices.join(','));
+                    startRequest();
+                })
+                .catch((err) => {
+                    this.logger.severe(LOGGINGPREFIX + err.message);
+                    if (!err.httpStatusCode) {
+                        err.httpStatusCode = 400;
+                    }
+                    restOperation.fail(err);
+                });
+        } else {
+            startRequest();
+        }
+    }
+
+    /**
+     * Process an array of policy transfers as one job. Each transfer takes the
+     * body parameters of a single POST request, and the query parameters apply
+     * to every transfer. Transfers of the same source policy or URL share its export or download.
+     * example: /shared/TrustedASMPolicies with a body of [{"sourceHost":"10.144.72.135","policyName":"linux-high","targetHosts":["10.144.72.186"],"targetPolicyName":"linux-high"}]
+     * @param {RestOperation} restOperation
+     * @param {Object} query request query variables
+     * @param {Array} transfers POST body parameters of each transfer
+     */
+    onPostBatch(restOperation, query, transfers) {
+        let parsedTransfers = null;
+        try {
+            if (transfers.length === 0) {
+                const err = new Error('a batch must have at least one transfer');
+                err.httpStatusCode = 400;
+                throw err;
+            }
+            parsedTransfers = transfers.map((transfer, transferIndex) => {
+                try {
+                    if (!(transfer && typeof transfer == 'object' && !Array.isArray(transfer))) {
+                        const err = new Error('must be an object of POST parameters');
+                        err.httpStatusCode = 400;
+                        throw err;
+                    }
+                    return this.parsePostRequest(query, transfer, false);
+                } catch (err) {
+                    err.message = 'transfer ' + transferIndex + ' ' + err.message;
+                    throw err;
+                }
+            });
+            const dryRuns = parsedTransfers.filter((parsedTransfer) => {
+                return parsedTransfer.dryRun;
+            });
+            if (dryRuns.length > 0 && dryRuns.length < parsedTransfers.length) {
+                const err = new Error('dryRun must be set for every transfer in a batch or for none');
+                err.httpStatusCode = 400;
+                throw err;
+            }
+        } catch (err) {
+            this.logger.severe(LOGGINGPREFIX + err.message);
+            restOperation.fail(err);
+            return;
+        }
+        const requests = parsedTransfers.map((parsedTransfer) => {
+            return parsedTransfer.request;
+        });
+        // resolve target selectors and validate every device before any transfer starts
+        Promise.all(requests.map((request, transferIndex) => {
+            let targetDevices = Promise.resolve(request.targetDevices);
+            if (request.targetSelector) {
+                targetDevices = this.resolveTargetDevices(request.targetDevices, request.targetSelector)
+                    .then((targets) => {
+                        return targets.map((target) => {
+                            return target.targetHost;
+                        });
+                    });
+            }
+            return targetDevices
+                .then((resolvedDevices) => {
+                    request.targetDevices = resolvedDevices;
+                    const sourceValidation = request.sourceDevice ? this.validateTarget(request.sourceDevice) : Promise.resolve(null);
+                    return sourceValidation
+                        .then(() => {
+                            return Promise.all(resolvedDevices.map((targetDevice) => {
+                                return this.validateTarget(targetDevice);
+                            }));
+                        });
+                })
+                .then((targets) => {
+                    return targets.map((target) => {
+                        return `${target.targetHost}:${target.targetPort}:${request.targetPolicyName}`;
+                    });
+                })
+                .catch((err) => {
+                    err.message = 'transfer ' + transferIndex + ' ' + err.message;
+                    throw err;
+                });
+        }))
+            .then((transferTargets) => {
+                const requestIndexes = [].concat.apply([], transferTargets);
+                const duplicateIndexes = requestIndexes.filter((requestIndex, index) => {
+                    return requestIndexes.indexOf(requestIndex) != index;
+                });
+                if (duplicateIndexes.length > 0) {
+                    const err = new Error('transfers in a batch can not import the same targetPolicyName to the same device - ' + duplicateIndexes.join(','));
+                    err.httpStatusCode = 400;
+                    throw err;
+                }
+                if (parsedTransfers[0].dryRun) {
+                    return Promise.all(parsedTransfers.map((parsedTransfer) => {
+                        return this.planPostRequest(parsedTransfer.request, parsedTransfer.downloadOptions, parsedTransfer.policyXml);
+                    }))
+                        .then((plans) => {
+                            restOperation.statusCode = 200;
+                            restOperation.setContentType('application/json');
+                            restOperation.body = {
+                                dryRun: true,
+                                transfers: plans
+                            };
+                            this.completeRestOperation(restOperation);
+                        });
+                }
+                const batch = {
+                    jobId: this.createJob({ batch: requests }),
+                    timestamp: new Date().getTime()
+                };
+                return Promise.all(parsedTransfers.map((parsedTransfer, transferIndex) => {
+                    // source failures are recorded on the transfer targets in the batch job
+                    const failTransfer = (err) => {
+                        this.logger.severe(LOGGINGPREFIX + 'job ' + batch.jobId + ' transfer ' + transferIndex + ' failed - ' + err.message);
+                    };
+                    return this.startPostRequest(parsedTransfer.request, parsedTransfer.downloadOptions, parsedTransfer.policyXml, failTransfer, Object.assign({ index: transferIndex }, batch));
+                }))
+                    .then((transferTasks) => {
+                        restOperation.statusCode = 202;
+                        restOperation.setContentType('application/json');
+                        restOperation.body = [].concat.apply([], transferTasks);
+                        this.completeRestOperation(restOperation);
+                    });
+            })
+            .catch((err) => {
+                this.logger.severe(LOGGINGPREFIX + 'could not process batch - ' + err.message);
+                if (!err.httpStatusCode) {
+                    err.httpStatusCode = 400;
+                }
+                restOperation.fail(err);
+            });
+    }
+
+    /**
+     * Parse and validate the query and body parameters of a POST request
+     * @param {Object} query request query variables
+     * @param {Object} createBody request body, a raw body is an inline policy XML file
+     * @param {Boolean} bundle the request imports a policy bundle
+     * @returns {Object} the normalized request with the downloadOptions, policyXml
+     * and bundleData which are not saved with the request, and the dryRun flag
+     */
+    parsePostRequest(query, createBody, bundle) {
+        let sourceDevice = null;
+        let sourceUrl = null;
+        let targetDevices = [];
+        let policyId = null;
+        let policyName = null;
+        let targetPolicyName = null;
+        let replaceStrategy = REPLACEDELETE;
+        let dryRun = false;
+        let skipVersionCheck = false;
+        const rollout = {};
+        const verification = {};
+        let credentialProfile = null;
+        let credentials = null;
+        let policyXml = null;
+        const restoreOptions = {};
+        let bundleData = null;
+        let policyNames = null;
+        let targetPolicyPrefix = '';
+        let template = false;
+        let variables = null;
+        let targetVariables = null;
+        let transforms = null;
+        let apply = true;
+        let virtualServers = [];
+        let ltmPolicy = null;
+
+        if (query.sourceHost) {
+            sourceDevice = query.sourceHost;
+        } else if (query.sourceUUID) {
+            sourceDevice = query.sourceUUID;
+        }
+
+        if (query.url) {
+            sourceUrl = query.url;
+        }
+
+        if (query.targetHost) {
+            targetDevices = [query.targetHost];
+        } else if (query.targetUUID) {
+            targetDevices = [query.targetUUID];
+        }
+
+        if (query.targetHosts) {
+            targetDevices = query.targetHosts.split(',');
+        } else if (query.targetUUIDs) {
+            targetDevices = query.targetUUIDs.split(',');
+        }
+
+        if (query.policyId) {
+            policyId = query.policyId;
+        }
+
+        if (query.policyName) {
+            policyName = query.policyName;
+        }
+
+        if (query.targetPolicyName) {
+            targetPolicyName = query.targetPolicyName;
+        }
+
+        if (query.replaceStrategy) {
+            replaceStrategy = query.replaceStrategy;
+        }
+
+        ROLLOUTOPTIONS.forEach((option) => {
+            rollout[option] = 0;
+            if (query[option]) {
+                rollout[option] = Number(query[option]);
+            }
+        });
+
+        if (query.dryRun) {
+            if (query.dryRun.toLowerCase() === 'true' || query.dryRun === '1') {
+                dryRun = true;
+            }
+        }
+
+        if (query.skipVersionCheck) {
+            if (query.skipVersionCheck.toLowerCase() === 'true' || query.skipVersionCheck === '1') {
+                skipVersionCheck = true;
+            }
+        }
+
+        VERIFICATIONOPTIONS.forEach((option) => {
+            if (query[option]) {
+                verification[option] = query[option];
+            }
+        });
+        if (query.credentialProfile) {
+            credentialProfile = query.credentialProfile;
+        }
+        RESTOREOPTIONS.forEach((option) => {
+            if (query[option]) {
+                restoreOptions[option] = query[option];
+            }
+        });
+        if (query.policyNames) {
+            policyNames = query.policyNames.split(',');
+        }
+        if (query.targetPolicyPrefix) {
+            targetPolicyPrefix = query.targetPolicyPrefix;
+        }
+        if (query.template) {
+            if (query.template.toLowerCase() === 'true' || query.template === '1') {
+                template = true;
+            }
+        }
+        if (query.apply) {
+            if (query.apply.toLowerCase() === 'false' || query.apply === '0') {
+                apply = false;
+            }
+        }
+        if (query.virtualServers) {
+            virtualServers = query.virtualServers.split(',');
+        }
+        if (query.ltmPolicy) {
+            ltmPolicy = query.ltmPolicy;
+        }
+
+        if (typeof createBody == 'string' || Buffer.isBuffer(createBody)) {
+            // raw text/xml policy body, all other parameters are query variables
+            policyXml = createBody.toString();
+            createBody = {};
+        }
+        if (createBody.hasOwnProperty('policyBase64')) {
+            policyXml = typeof createBody.policyBase64 == 'string' ? Buffer.from(createBody.policyBase64, 'base64').toString() : '';
+            if (!policyXml) {
+                const err = new Error('policyBase64 must be a base64 encoded ASM policy XML file');
+                err.httpStatusCode = 400;
+                throw err;
+            }
+        }
+        if (createBody.hasOwnProperty('sourceHost')) {
+            sourceDevice = createBody.sourceHost;
+        }
+        if (createBody.hasOwnProperty('sourceUUID')) {
+            sourceDevice = createBody.sourceUUID;
+        }
+        if (createBody.hasOwnProperty('url')) {
+            sourceUrl = createBody.url;
+        }
+        if (createBody.hasOwnProperty('targetHost')) {
+            targetDevices = [createBody.targetHost];
+        }
+        if (createBody.hasOwnProperty('targetHosts')) {
+            targetDevices = createBody.targetHosts;
+        }
+        if (createBody.hasOwnProperty('targetUUID')) {
+            targetDevices = [createBody.targetUUID];
+        }
+        if (createBody.hasOwnProperty('targetUUIDs')) {
+            targetDevices = createBody.targetUUIDs;
+        }
+        if (createBody.hasOwnProperty('policyId')) {
+            policyId = createBody.policyId;
+        }
+        if (createBody.hasOwnProperty('policyName')) {
+            policyName = createBody.policyName;
+        }
+        if (createBody.hasOwnProperty('targetPolicyName')) {
+            targetPolicyName = createBody.targetPolicyName;
+        }
+        if (createBody.hasOwnProperty('replaceStrategy')) {
+            replaceStrategy = createBody.replaceStrategy;
+        }
+        ROLLOUTOPTIONS.forEach((option) => {
+            if (createBody.hasOwnProperty(option)) {
+                rollout[option] = createBody[option];
+            }
+        });
+        if (createBody.hasOwnProperty('dryRun')) {
+            dryRun = createBody.dryRun === true || createBody.dryRun === 'true';
+        }
+        if (createBody.hasOwnProperty('skipVersionCheck')) {
+            skipVersionCheck = createBody.skipVersionCheck === true || createBody.skipVersionCheck === 'true';
+        }
+        VERIFICATIONOPTIONS.forEach((option) => {
+            if (createBody.hasOwnProperty(option)) {
+                verification[option] = String(createBody[option]);
+            }
+        });
+        if (createBody.hasOwnProperty('credentialProfile')) {
+            credentialProfile = createBody.credentialProfile;
+        }
+        // request credentials are only accepted in the body so they are not logged with the URI
+        if (createBody.hasOwnProperty('credentials')) {
+            credentials = createBody.credentials;
+        }
+        RESTOREOPTIONS.forEach((option) => {
+            if (createBody.hasOwnProperty(option)) {
+                restoreOptions[option] = String(createBody[option]);
+            }
+        });
+        if (createBody.hasOwnProperty('bundleBase64')) {
+            bundleData = Buffer.from(typeof createBody.bundleBase64 == 'string' ? createBody.bundleBase64 : '', 'base64');
+        }
+        if (createBody.hasOwnProperty('policyNames')) {
+            policyNames = Array.isArray(createBody.policyNames) ? createBody.policyNames : String(createBody.policyNames).split(',');
+        }
+        if (createBody.hasOwnProperty('targetPolicyPrefix')) {
+            targetPolicyPrefix = String(createBody.targetPolicyPrefix);
+        }
+        if (createBody.hasOwnProperty('template')) {
+            template = createBody.template === true || createBody.template === 'true';
+        }
+        // template variables are only accepted in the body as they are objects
+        if (createBody.hasOwnProperty('variables')) {
+            variables = createBody.variables;
+        }
+        if (createBody.hasOwnProperty('targetVariables')) {
+            targetVariables = createBody.targetVariables;
+        }
+        if (createBody.hasOwnProperty('transforms')) {
+            transforms = createBody.transforms;
+        }
+        if (createBody.hasOwnProperty('apply')) {
+            apply = !(createBody.apply === false || createBody.apply === 'false');
+        }
+        if (createBody.hasOwnProperty('virtualServers')) {
+            virtualServers = Array.isArray(createBody.virtualServers) ? createBody.virtualServers : String(createBody.virtualServers).split(',');
+        }
+        if (createBody.hasOwnProperty('ltmPolicy')) {
+            ltmPolicy = createBody.ltmPolicy ? String(createBody.ltmPolicy) : null;
+        }
+
+        if (!VALIDREPLACESTRATEGIES.includes(replaceStrategy)) {
+            const strategyError = new Error('replaceStrategy must be one of ' + JSON.stringify(VALIDREPLACESTRATEGIES));
+            strategyError.httpStatusCode = 400;
+            throw strategyError;
+        }
+        // a staged policy is imported over the live policy, which stays applied until the staged policy is applied
+        if (!apply) {
+            if (replaceStrategy == REPLACEDELETE && (query.replaceStrategy || createBody.hasOwnProperty('replaceStrategy'))) {
+                const strategyError = new Error('a policy staged with apply=false is imported over the existing policy, replaceStrategy delete would remove the live policy');
+                strategyError.httpStatusCode = 400;
+                throw strategyError;
+            }
+            replaceStrategy = REPLACEOVERWRITE;
+        }
+        const invalidRolloutOptions = ROLLOUTOPTIONS.filter((option) => {
+            return !(Number.isInteger(rollout[option]) && rollout[option] >= 0);
+        });
+        if (invalidRolloutOptions.length > 0) {
+            const rolloutError = new Error(invalidRolloutOptions.join(', ') + ' must be a non-negative integer');
+            rolloutError.httpStatusCode = 400;
+            throw rolloutError;
+        }
+        if (Object.keys(verification).length > 0) {
+            let verificationError = null;
+            if (!sourceUrl) {
+                verificationError = 'sha256, hmac and signature verification are only supported with a source url';
+            } else {
+                verificationError = this.validateVerificationOptions(verification);
+            }
+            if (verificationError) {
+                const err = new Error(verificationError);
+                err.httpStatusCode = 400;
+                throw err;
+            }
+        }
+        let downloadOptions = null;
+        if (credentialProfile || credentials) {
+            if (!sourceUrl) {
+                const err = new Error('credentialProfile and credentials are only supported with a source url');
+                err.httpStatusCode = 400;
+                throw err;
+            }
+            downloadOptions = this.resolveDownloadOptions(credentialProfile, credentials);
+        }
+
+        if (bundle) {
+            let bundleError = null;
+            if (sourceDevice || policyId || policyName || targetPolicyName || policyXml !== null || Object.keys(restoreOptions).length > 0) {
+                bundleError = 'a bundle import takes its policies from the bundle, select and rename them with policyNames and targetPolicyPrefix';
+            } else if (sourceUrl && bundleData !== null) {
+                bundleError = 'a bundle url can not be combined with bundleBase64';
+            } else if (!sourceUrl && bundleData === null) {
+                bundleError = 'must supply a bundle url or bundleBase64';
+            } else if (bundleData !== null && bundleData.length === 0) {
+                bundleError = 'bundleBase64 must be a base64 encoded policy bundle';
+            }
+            if (bundleError) {
+                const err = new Error(bundleError);
+                err.httpStatusCode = 400;
+                throw err;
+            }
+            if (bundleData !== null && bundleData.length > settings.downloadMaxBytes) {
+                const err = new Error('inline bundle exceeds the ' + settings.downloadMaxBytes + ' byte limit');
+                err.httpStatusCode = 413;
+                throw err;
+            }
+        } else if (policyNames || targetPolicyPrefix || bundleData !== null) {
+            const err = new Error('bundleBase64, policyNames and targetPolicyPrefix are only supported with a bundle import');
+            err.httpStatusCode = 400;
+            throw err;
+        }
+
+        if (policyXml !== null) {
+            let inlineError = null;
+            if (sourceUrl || sourceDevice) {
+                inlineError = 'an inline policy can not be combined with a source url, sourceHost or sourceUUID';
+            } else if (Object.keys(verification).length > 0 || credentialProfile || credentials) {
+                inlineError = 'verification and credentials are only supported with a source url';
+            } else if (!policyXml.trim().startsWith('<')) {
+                inlineError = 'inline policy must be an ASM policy XML file';
+            }
+            if (inlineError) {
+                const err = new Error(inlineError);
+                err.httpStatusCode = 400;
+                throw err;
+            }
+            if (Buffer.byteLength(policyXml) > settings.downloadMaxBytes) {
+                const err = new Error('inline policy exceeds the ' + settings.downloadMaxBytes + ' byte limit');
+                err.httpStatusCode = 413;
+                throw err;
+            }
+        }
+
+        if (variables !== null || targetVariables !== null) {
+            let variablesError = null;
+            if (variables !== null) {
+                variablesError = this.validateTemplateVariables(variables);
+                if (variablesError) {
+                    variablesError = 'variables ' + variablesError;
+                }
+            }
+            if (!variablesError && targetVariables !== null) {
+                if (typeof targetVariables != 'object' || Array.isArray(targetVariables)) {
+                    variablesError = 'targetVariables must be an object of variables keyed by target host, UUID or hostname';
+                } else {
+                    Object.keys(targetVariables).forEach((targetDevice) => {
+                        const targetError = this.validateTemplateVariables(targetVariables[targetDevice]);
+                        if (targetError && !variablesError) {
+                            variablesError = 'targetVariables ' + targetDevice + ' ' + targetError;
+                        }
+                    });
+                }
+            }
+            if (variablesError) {
+                const err = new Error(variablesError);
+                err.httpStatusCode = 400;
+                throw err;
+            }
+            // supplying variables implies a templated policy
+            template = true;
+        }
+
+        if (transforms !== null) {
+            const transformsError = this.validatePolicyTransforms(transforms);
+            if (transformsError) {
+                const err = new Error(transformsError);
+                err.httpStatusCode = 400;
+                throw err;
+            }
+        }
+
+        virtualServers = virtualServers.filter((virtualServer) => {
+            return virtualServer;
+        });
+        if ((virtualServers.length > 0 || ltmPolicy) && !apply) {
+            const err = new Error('virtualServers and ltmPolicy can only be attached to a policy which is applied');
+            err.httpStatusCode = 400;
+            throw err;
+        }
+
+        let restore = null;
+        if (Object.keys(restoreOptions).length > 0) {
+            if (sourceUrl || policyXml !== null) {
+                const err = new Error('restoring a backup, snapshot or recycle bin entry can not be combined with a source url or an inline policy');
+                err.httpStatusCode = 400;
+                throw err;
+            }
+            const restoreSource = this.resolveRestoreSource(sourceDevice, policyId, policyName, restoreOptions);
+            restore = restoreSource.restore;
+            policyXml = restoreSource.policyXml;
+            // restore to the device and policy name which were backed up unless other targets are given
+            if (targetDevices.length === 0 && !this.getTargetSelector(query, createBody)) {
+                targetDevices = [restore.sourceHost];
+            }
+            if (!targetPolicyName) {
+                targetPolicyName = restore.policyName;
+            }
+            sourceDevice = null;
+            policyId = null;
+            policyName = null;
+        }
+
+        // exit if no source policy and or policy targets
+        if ((!sourceUrl) && (policyXml === null) && (bundleData === null) && (!((policyName || policyId) && sourceDevice))) {
+            const targetError = new Error('must supply a source URL, an inline policy or else a sourceHost or sourceUUID and a policyName');
+            targetError.httpStatusCode = 404;
+            throw targetError;
+        }
+        const targetSelector = this.getTargetSelector(query, createBody);
+        if (!((targetDevices.length > 0 || targetSelector) && (targetPolicyName || bundle))) {
+            const targetError = new Error('must supply a targetHost, targetUUID, targetHosts, targetUUIDs or a target selector and a targetPolicyName');
+            targetError.httpStatusCode = 404;
+            throw targetError;
+        }
+        const request = {
+            sourceDevice: sourceDevice,
+            url: sourceUrl,
+            policyId: policyId,
+            policyName: policyName,
+            targetDevices: targetDevices,
+            targetSelector: targetSelector,
+            targetPolicyName: targetPolicyName,
+            replaceStrategy: replaceStrategy,
+            rollout: rollout,
+            skipVersionCheck: skipVersionCheck,
+            verification: Object.keys(verification).length > 0 ? verification : null,
+            credentialProfile: credentialProfile,
+            inline: policyXml !== null && !restore,
+            restore: restore,
+            bundle: bundle ? { policyNames: policyNames, targetPolicyPrefix: targetPolicyPrefix } : null,
+            template: template ? { variables: variables || {}, targetVariables: targetVariables || {} } : null,
+            transforms: transforms && transforms.length > 0 ? transforms : null,
+            apply: apply,
+            attach: virtualServers.length > 0 || ltmPolicy ? {
+                virtualServers: virtualServers.map(toFullPath),
+                ltmPolicy: ltmPolicy ? toFullPath(ltmPolicy) : null
+            } : null
+        };
+        return {
+            request: request,
+            downloadOptions: downloadOptions,
+            policyXml: policyXml,
+            bundleData: bundleData,
+            dryRun: dryRun
+        };
+    }
+
+    /**
+     * Export a policy from a source device and push it to object storage
+     * example: /shared/TrustedASMPolicies/exports?sourceHost=10.144.72.135&policyName=linux-high&url=s3://asm-policies/linux-high.xml
+     * @param {RestOperation} restOperation
+     */
+    onPostExport(restOperation) {
+        const query = restOperation.getUri().query;
+        const exportBody = restOperation.getBody();
+        const exportRequest = {
+            sourceHost: query.sourceHost,
+            sourceUUID: query.sourceUUID,
+            policyId: query.policyId,
+            policyName: query.policyName,
+            url: query.url,
+            credentialProfile: query.credentialProfile
+        };
+        Object.keys(exportRequest).forEach((param) => {
+            if (exportBody.hasOwnProperty(param)) {
+                exportRequest[param] = exportBody[param];
+            }
+        });
+        const sourceDevice = exportRequest.sourceHost || exportRequest.sourceUUID;
+        let exportError = null;
+        if (!(sourceDevice && (exportRequest.policyId || exportRequest.policyName))) {
+            exportError = 'export requires a sourceHost or sourceUUID and a policyName or policyId';
+        } else if (!exportRequest.url || url.parse(String(exportRequest.url)).protocol != 's3:') {
+            exportError = 'export requires an s3://bucket/key url';
+        }
+        let downloadOptions = null;
+        if (!exportError) {
+            try {
+                downloadOptions = this.resolveDownloadOptions(exportRequest.credentialProfile, exportBody.credentials);
+            } catch (err) {
+                exportError = err.message;
+            }
+        }
+        if (exportError) {
+            const err = new Error(exportError);
+            this.logger.severe(LOGGINGPREFIX + err.message);
+            err.httpStatusCode = 400;
+            restOperation.fail(err);
+            return;
+        }
+        let exportUrl = exportRequest.url;
+        let exportedPolicy = null;
+        let exportSource = null;
+        this.validateTarget(sourceDevice)
+            .catch((err) => {
+                err.httpStatusCode = 404;
+                throw err;
+            })
+            .then((source) => {
+                exportSource = source;
+                return this.getPoliciesOnBigIP(source.targetHost, source.targetPort);
+            })
+            .then((policies) => {
+                policies.forEach((policy) => {
+                    if (!exportedPolicy && (policy.id == exportRequest.policyId || policy.name == exportRequest.policyName)) {
+                        exportedPolicy = policy;
+                    }
+                });
+                if (!exportedPolicy) {
+                    const err = new Error(`source policy ${exportRequest.policyName || exportRequest.policyId} could not be found on ${exportSource.targetHost}:${exportSource.targetPort}`);
+                    err.httpStatusCode = 404;
+                    throw err;
+                }
+                if (exportUrl.endsWith('/')) {
+                    // a bucket prefix gets the policy name as the object name
+                    exportUrl = exportUrl + exportedPolicy.name + '.xml';
+                }
+                const policyTimestamp = new Date(exportedPolicy.lastChanged).getTime();
+                return this.exportPolicyFromBigIP(exportSource.targetHost, exportSource.targetPort, exportedPolicy.id, policyTimestamp)
+                    .then(() => {
+                        return this.uploadPolicyFileToS3(exportUrl, this.resolvePolicyFileName(exportedPolicy.id, policyTimestamp), downloadOptions);
+                    });
+            })
+            .then((upload) => {
+                this.logger.info(LOGGINGPREFIX + 'policy ' + exportedPolicy.name + ' from ' + exportSource.targetHost + ':' + exportSource.targetPort + ' was exported to ' + exportUrl);
+                restOperation.statusCode = 200;
+                restOperation.setContentType('application/json');
+                restOperation.body = {
+                    sourceHost: exportSource.targetHost,
+                    sourcePort: exportSource.targetPort,
+                    sourceUUID: exportSource.targetUUID || null,
+                    policyId: exportedPolicy.id,
+                    policyName: exportedPolicy.name,
+                    lastChanged: exportedPolicy.lastChanged,
+                    url: upload.url,
+                    etag: upload.etag,
+                    size: upload.size
+                };
+                this.completeRestOperation(restOperation);
+            })
+            .catch((err) => {
+                this.logger.severe(LOGGINGPREFIX + 'could not export policy to ' + exportUrl + ' - ' + err.message);
+                if (!err.httpStatusCode) {
+                    err.httpStatusCode = 500;
+                }
+                restOperation.fail(err);
+            });
+    }
+
+    /**
+     * Start a backup of every policy on every trusted device
+     * example: /shared/TrustedASMPolicies/backups
+     * @param {RestOperation} restOperation
+     */
+    onPostBackup(restOperation) {
+        try {
+            const backup = this.startBackup(BACKUPREQUESTED);
+            restOperation.statusCode = 202;
+            restOperation.setContentType('application/json');
+            restOperation.body = this.getBackupSummary(backup);
+            this.completeRestOperation(restOperation);
+        } catch (err) {
+            if (!err.httpStatusCode) {
+                err.httpStatusCode = 500;
+            }
+            restOperation.fail(err);
+        }
+    }
+
+    /**
+     * Apply policies which were imported with apply=false on trusted devices.
+     * The policies are applied one at a time on each target device.
+     * example: /shared/TrustedASMPolicies/apply?targetHosts=10.144.72.186,10.144.72.187&policyNames=linux-high,linux-low
+     * @param {RestOperation} restOperation
+     */
+    onPostApply(restOperation) {
+        const query = restOperation.getUri().query;
+        const applyBody = restOperation.getBody() || {};
+        let targetDevices = [];
+        let policyNames = [];
+        if (query.targetHost) {
+            targetDevices = [query.targetHost];
+        } else if (query.targetUUID) {
+            targetDevices = [query.targetUUID];
+        }
+        if (query.targetHosts) {
+            targetDevices = query.targetHosts.split(',');
+        } else if (query.targetUUIDs) {
+            targetDevices = query.targetUUIDs.split(',');
+        }
+        if (query.policyName) {
+            policyNames = [query.policyName];
+        }
+        if (query.policyNames) {
+            policyNames = query.policyNames.split(',');
+        }
+        ['targetHost', 'targetUUID'].forEach((param) => {
+            if (applyBody.hasOwnProperty(param)) {
+                targetDevices = [applyBody[param]];
+            }
+        });
+        ['targetHosts', 'targetUUIDs'].forEach((param) => {
+            if (applyBody.hasOwnProperty(param)) {
+                targetDevices = toArray(applyBody[param]);
+            }
+        });
+        if (applyBody.hasOwnProperty('policyName')) {
+            policyNames = [applyBody.policyName];
+        }
+        if (applyBody.hasOwnProperty('policyNames')) {
+            policyNames = Array.isArray(applyBody.policyNames) ? applyBody.policyNames : String(applyBody.policyNames).split(',');
+        }
+        const targetSelector = this.getTargetSelector(query, applyBody);
+        if (!((targetDevices.length > 0 || targetSelector) && policyNames.length > 0)) {
+            const err = new Error('must supply a targetHost, targetUUID, targetHosts, targetUUIDs or a target selector and a policyName or policyNames');
+            this.logger.severe(LOGGINGPREFIX + err.message);
+            err.httpStatusCode = 404;
+            restOperation.fail(err);
+            return;
+        }
+        this.resolveTargetDevices(targetDevices, targetSelector)
+            .then((targets) => {
+                // a policy which is still being processed on a device keeps its task
+                const processing = [];
+                targets.forEach((target) => {
+                    policyNames.forEach((policyName) => {
+                        const requestIndex = `${target.targetHost}:${target.targetPort}:${policyName}`;
+                        if (requestedTasks.hasOwnProperty(requestIndex) && !JOBTERMINALSTATES.includes(requestedTasks[requestIndex].state)) {
+                            processing.push(`${policyName} on ${target.targetHost}:${target.targetPort} is in ${requestedTasks[requestIndex].state} state`);
+                        }
+                    });
+                });
+                if (processing.length > 0) {
+                    const err = new Error('can not apply policies while processing. policy ' + processing.join(', policy '));
+                    err.httpStatusCode = 409;
+                    throw err;
+                }
+                const request = {
+                    targetDevices: targets.map((target) => {
+                        return target.targetHost;
+                    }),
+                    targetSelector: targetSelector,
+                    targetPolicyName: policyNames.join(','),
+                    apply: { policyNames: policyNames }
+                };
+                const jobId = this.createJob(request);
+                const returnTasks = [];
+                targets.forEach((target) => {
+                    policyNames.forEach((policyName) => {
+                        const requestIndex = `${target.targetHost}:${target.targetPort}:${policyName}`;
+                        const returnPolicy = {
+                            id: UNKNOWN,
+                            name: policyName,
+                            targetHost: target.targetHost,
+                            targetPort: target.targetPort,
+                            enforcementMode: UNKNOWN,
+                            lastChanged: UNKNOWN,
+                            lastChange: UNKNOWN,
+                            state: REQUESTED,
+                            path: UNKNOWN,
+                            jobId: jobId
+                        };
+                        requestedTasks[requestIndex] = returnPolicy;
+                        jobTargets[requestIndex] = jobId;
+                        this.addJobTarget(jobId, target, policyName);
+                        returnTasks.push(returnPolicy);
+                    });
+                });
+                restOperation.statusCode = 202;
+                restOperation.setContentType('application/json');
+                restOperation.body = returnTasks;
+                this.completeRestOperation(restOperation);
+                targets.forEach((target) => {
+                    // ASM applies one policy at a time on a device
+                    policyNames.reduce((previous, policyName) => {
+                        return previous.then(() => {
+                            return this.applyImportedPolicy(target, policyName);
+                        });
+                    }, Promise.resolve());
+                });
+            })
+            .catch((err) => {
+                this.logger.severe(LOGGINGPREFIX + err.message);
+                if (!err.httpStatusCode) {
+                    err.httpStatusCode = 404;
+                }
+                restOperation.fail(err);
+            });
+    }
+
+    /**
+     * Apply an imported policy on a target device for an apply job
+     * @param {Object} target validated target device
+     * @param {String} policyName policy name on the target device
+     * @returns Promise resolving when the policy is applied or its job target has failed
+     */
+    applyImportedPolicy(target, policyName) {
+        this.updateInflightState(target.targetHost, target.targetPort, policyName, QUERYING);
+        return this.getPoliciesOnBigIP(target.targetHost, target.targetPort, true)
+            .then((targetPolicies) => {
+                this.checkCancelled(target.targetHost, target.targetPort, policyName);
+                const targetPolicy = targetPolicies.find((policy) => {
+                    return policy.name == policyName;
+                });
+                if (!targetPolicy) {
+                    throw new Error('policy ' + policyName + ' was not found on ' + target.targetHost + ':' + target.targetPort);
+                }
+                this.updateInflightState(target.targetHost, target.targetPort, policyName, APPLYING);
+                return this.applyTaskOnBigIP(target.targetHost, target.targetPort, targetPolicy.id, policyName);
+            })
+            .then((policyId) => {
+                this.logger.info(LOGGINGPREFIX + 'policy ' + policyName + ' with policyId: ' + policyId + ' was applied on ' + target.targetUUID + ' ' + target.targetHost + ':' + target.targetPort);
+                this.updateJobTargetPolicyId(target.targetHost, target.targetPort, policyName, policyId);
+                this.updateInflightState(target.targetHost, target.targetPort, policyName, FINISHED);
+            })
+            .catch((err) => {
+                if (err.cancelled) {
+                    this.logger.info(LOGGINGPREFIX + err.message);
+                } else {
+                    this.logger.severe(LOGGINGPREFIX + 'error applying ASM policy - ' + err.message);
+                    this.updateInflightState(target.targetHost, target.targetPort, policyName, ERROR, err.message);
+                }
+            });
+    }
+
+    /**
+     * Import every policy in a bundle, or the policies in policyNames, to the
+     * target devices. Each bundle policy is processed as its own job.
+     * example: /shared/TrustedASMPolicies/bundles?targetHosts=10.144.72.186,10.144.72.187&targetPolicyPrefix=imported-
+     * @param {RestOperation} restOperation
+     * @param {Object} request the normalized POST request parameters
+     * @param {Object} downloadOptions bundle URL credentials, which are not saved with the request
+     * @param {Buffer} bundleData inline bundle archive, which is not saved with the request
+     * @param {Boolean} dryRun return the plan for each bundle policy without changing any device
+     */
+    onPostBundle(restOperation, request, downloadOptions, bundleData, dryRun) {
+        let responded = false;
+        const failRequest = (err) => {
+            if (!responded) {
+                responded = true;
+                restOperation.fail(err);
+            }
+        };
+        let loadBundle = Promise.resolve(bundleData);
+        if (request.url) {
+            loadBundle = this.downloadPolicyFile(request.url, BUNDLESPATH, new Date().getTime(), downloadOptions)
+                .then((bundleFile) => {
+                    return this.verifyPolicyFile(bundleFile, request.verification);
+                })
+                .then((bundleFile) => {
+                    const filePath = `${downloadDirectory}/${bundleFile}`;
+                    const archive = fs.readFileSync(filePath);
+                    fs.unlinkSync(filePath);
+                    return archive;
+                });
+        }
+        loadBundle
+            .then((archive) => {
+                const policyBundle = this.readPolicyBundle(archive);
+                const selectedNames = request.bundle.policyNames;
+                const policies = policyBundle.policies.filter((policy) => {
+                    return !selectedNames || selectedNames.includes(policy.entry.name);
+                });
+                const missingNames = (selectedNames || []).filter((name) => {
+                    return !policies.some((policy) => {
+                        return policy.entry.name == name;
+                    });
+                });
+                if (missingNames.length > 0 || policies.length === 0) {
+                    const err = new Error(missingNames.length > 0 ? 'bundle has no policies named ' + missingNames.join(',') : 'bundle has no policies');
+                    err.httpStatusCode = 404;
+                    throw err;
+                }
+                const policyRequests = policies.map((policy) => {
+                    return {
+                        request: Object.assign({}, request, {
+                            url: null,
+                            verification: null,
+                            credentialProfile: null,
+                            targetPolicyName: request.bundle.targetPolicyPrefix + policy.entry.name,
+                            bundle: {
+                                url: request.url,
+                                sourceHost: policyBundle.manifest.sourceHost || null,
+                                policyId: policy.entry.id || null,
+                                policyName: policy.entry.name,
+                                lastChanged: policy.entry.lastChanged || null,
+                                bigip_version: policy.entry.bigip_version || null
+                            }
+                        }),
+                        policyXml: policy.policyXml
+                    };
+                });
+                if (dryRun) {
+                    return Promise.all(policyRequests.map((policyRequest) => {
+                        return this.planPostRequest(policyRequest.request, null, policyRequest.policyXml);
+                    }))
+                        .then((plans) => {
+                            responded = true;
+                            restOperation.statusCode = 200;
+                            restOperation.setContentType('application/json');
+                            restOperation.body = {
+                                dryRun: true,
+                                policies: plans
+                            };
+                            this.completeRestOperation(restOperation);
+                        });
+                }
+                return Promise.all(policyRequests.map((policyRequest) => {
+                    return this.startPostRequest(policyRequest.request, null, policyRequest.policyXml, failRequest);
+                }))
+                    .then((policyTasks) => {
+                        if (!responded) {
+                            responded = true;
+                            restOperation.statusCode = 202;
+                            restOperation.setContentType('application/json');
+                            restOperation.body = [].concat.apply([], policyTasks);
+                            this.completeRestOperation(restOperation);
+                        }
+                    });
+            })
+            .catch((err) => {
+                this.logger.severe(LOGGINGPREFIX + 'could not import policy bundle - ' + err.message);
+                if (!err.httpStatusCode) {
+                    err.httpStatusCode = 500;
+                }
+                failRequest(err);
+            });
+    }
+
+    /**
+     * Process a validated POST request and return the initial
+     * request states for each target device
+     * @param {RestOperation} restOperation
+     * @param {Object} request the normalized POST request parameters
+     * @param {Object} downloadOptions source URL credentials, which are not saved with the request
+     * @param {String} policyXml inline policy XML, which is not saved with the request
+     */
+    processPostRequest(restOperation, request, downloadOptions, policyXml) {
+        let responded = false;
+        const failRequest = (err) => {
+            if (!responded) {
+                responded = true;
+                restOperation.fail(err);
+            }
+        };
+        this.startPostRequest(request, downloadOptions, policyXml, failRequest)
+            .then((returnTasks) => {
+                if (!responded) {
+                    responded = true;
+                    restOperation.statusCode = 202;
+                    restOperation.setContentType('application/json');
+                    restOperation.body = returnTasks;
+                    this.completeRestOperation(restOperation);
+                }
+            })
+            .catch(failRequest);
+    }
+    /**
+     * Create the job for a validated POST request and start the policy
+     * transfers to each target device
+     * @param {Object} request the normalized POST request parameters
+     * @param {Object} downloadOptions source URL credentials, which are not saved with the request
+     * @param {String} policyXml inline policy XML, which is not saved with the request
+     * @param {Function} failRequest called with source errors found after the initial states are returned
+     * @param {Object} batch optional batch job ID, timestamp and transfer index when the request is a transfer in a batch
+     * @returns {Promise} resolves to the initial request states for each target device
+     */
+    startPostRequest(request, downloadOptions, policyXml, failRequest, batch) {
+        const sourceDevice = request.sourceDevice;
+        const sourceUrl = request.url;
+        const policyId = request.policyId;
+        const policyName = request.policyName;
+        const targetDevices = request.targetDevices;
+        const targetPolicyName = request.targetPolicyName;
+        const replaceStrategy = request.replaceStrategy;
+        const rollout = request.rollout;
+        const skipVersionCheck = request.skipVersionCheck;
+        // create a job to track the request across all target devices, transfers in a batch share the batch job
+        const jobId = batch ? batch.jobId : this.createJob(request);
+        const transferIndex = batch ? batch.index : undefined;
+        const waves = this.planRollout(batch ? null : jobId, targetDevices, rollout);
+        // validate hosts and create request states for initial return to POST request
+        const validationPromises = [];
+        const returnTasks = [];
+        targetDevices.map((targetDevice, targetIndex) => {
+            validationPromises.push(
+                this.validateTarget(targetDevice)
+                    .then((target) => {
+                        let requestIndex = `${target.targetHost}:${target.targetPort}:${targetPolicyName}`;
+                        let returnPolicy = {
+                            id: UNKNOWN,
+                            name: targetPolicyName,
+                            targetHost: target.targetHost,
+                            targetPort: target.targetPort,
+                            enforcementMode: UNKNOWN,
+                            lastChanged: UNKNOWN,
+                            lastChange: UNKNOWN,
+                            state: REQUESTED,
+                            path: UNKNOWN,
+                            jobId: jobId
+                        };
+                        if (sourceUrl) {
+                            returnPolicy.id = sourceUrl;
+                        } else if (request.restore) {
+                            if (request.restore.recycleBinId) {
+                                returnPolicy.id = `${RECYCLEBINPATH}/${request.restore.recycleBinId}`;
+                            } else {
+                                returnPolicy.id = request.restore.backupId ? `${BACKUPSPATH}/${request.restore.backupId}` : `${TASKSPATH}/${request.restore.snapshotTaskId}`;
+                            }
+                        } else if (request.bundle) {
+                            returnPolicy.id = `${BUNDLESPATH}/${request.bundle.policyName}`;
+                        } else if (request.inline) {
+                            returnPolicy.id = INLINESOURCE;
+                        } else {
+                            returnPolicy.id = `${sourceDevice}:${policyName}`;
+                        }
+                        requestedTasks[requestIndex] = returnPolicy;
+                        jobTargets[requestIndex] = jobId;
+                        this.addJobTarget(jobId, target, targetPolicyName, this.getRolloutWave(waves, targetIndex), transferIndex);
+                        returnTasks.push(returnPolicy);
+                    })
+            );
+        });
+        if (sourceUrl || request.inline || request.restore || request.bundle) {
+            // Download policy XML from a source URL, or save the inline, restored or bundled policy XML, and import and apply on target device
+            // transfers in a batch start together, so offset the timestamp to give each its own policy file
+            const sourcePolicyTimestamp = batch ? batch.timestamp + batch.index : new Date().getTime();
+            let sourcePolicyFile = null;
+            let sourceDescription = 'url ' + sourceUrl;
+            if (request.inline || request.restore || request.bundle) {
+                sourcePolicyFile = this.savePolicyFile(policyXml, targetPolicyName, sourcePolicyTimestamp);
+                sourceDescription = 'the request body';
+                if (request.restore) {
+                    if (request.restore.recycleBinId) {
+                        sourceDescription = 'recycle bin entry ' + request.restore.recycleBinId;
+                    } else {
+                        sourceDescription = request.restore.backupId ? 'backup ' + request.restore.backupId : 'the snapshot of task ' + request.restore.snapshotTaskId;
+                    }
+                } else if (request.bundle) {
+                    sourceDescription = 'bundle policy ' + request.bundle.policyName;
+                }
+            } else if (batch) {
+                // transfers in a batch share one download of each source URL fetched with the same credentials
+                // and verified the same way, and copy it to verify and upload
+                const sharedDownloadId = sha256Hex(JSON.stringify([sourceUrl, downloadOptions, request.verification])).substr(0, 16);
+                sourcePolicyFile = this.downloadPolicyFile(sourceUrl, sharedDownloadId, batch.timestamp, downloadOptions)
+                    .then((downloadedFile) => {
+                        const policyFile = this.resolvePolicyFileName(targetPolicyName, sourcePolicyTimestamp);
+                        fs.writeFileSync(`${downloadDirectory}/${policyFile}`, fs.readFileSync(`${downloadDirectory}/${downloadedFile}`));
+                        return policyFile;
+                    });
+            } else {
+                sourcePolicyFile = this.downloadPolicyFile(sourceUrl, targetPolicyName, sourcePolicyTimestamp, downloadOptions);
+            }
+            sourcePolicyFile
+                .then((policyFile) => {
+                    return this.verifyPolicyFile(policyFile, request.verification);
+                })
+                .then(() => {
+                    return this.transformPolicyFile(jobId, request.transforms, targetPolicyName, sourcePolicyTimestamp, targetPolicyName);
+                })
+                .then((transformedPolicyId) => {
+                    const policyFile = this.resolvePolicyFileName(transformedPolicyId, sourcePolicyTimestamp);
+                    return this.rolloutToTargets(jobId, targetPolicyName, waves, rollout, (targetDevice) => {
+                        // re-validate the target to make sure it is still valid for policy processing
+                        return this.validateTarget(targetDevice)
+                            .then((target) => {
+                                this.logger.info(LOGGINGPREFIX + 'request made to import policy ' + targetPolicyName + ' from ' + sourceDescription + ' on device ' + target.targetUUID + ' ' + target.targetHost + ':' + target.targetPort);
+                                let requestIndex = `${target.targetHost}:${target.targetPort}:${targetPolicyName}`;
+                                this.updateInflightState(target.targetHost, target.targetPort, targetPolicyName, IMPORTING);
+                                return this.validateFileIsValidASMPolicy(policyFile, target.targetVersion, skipVersionCheck)
+                                    .then(() => {
+                                        this.updateInflightState(target.targetHost, target.targetPort, targetPolicyName, QUERYING);
+                                        return this.getPoliciesOnBigIP(target.targetHost, target.targetPort, true);
+                                    })
+                                    .then((targetPolicies) => {
+                                        this.checkCancelled(target.targetHost, target.targetPort, targetPolicyName);
+                                        let existingPolicy = null;
+                                        targetPolicies.forEach((targetPolicy) => {
+                                            if (targetPolicyName == targetPolicy.name) {
+                                                // the policy WAS found on the target device, flag the policy for replacement
+                                                this.logger.info(LOGGINGPREFIX + 'requested policy name:' + targetPolicyName + ' was found on the target device. replacing policy on target device.');
+                                                existingPolicy = targetPolicy;
+                                            }
+                                        });
+                                        return this.renderPolicyTemplate(request.template, transformedPolicyId, sourcePolicyTimestamp, target, targetPolicyName)
+                                            .then((uploadPolicyId) => {
+                                                return this.replacePolicyOnBigIP(target.targetHost, target.targetPort, uploadPolicyId, targetPolicyName, sourcePolicyTimestamp, existingPolicy, replaceStrategy, request.apply, request.attach);
+                                            });
+                                    })
+                                    .then((newPolicyId) => {
+                                        this.logger.info(LOGGINGPREFIX + 'policy ' + targetPolicyName + ' with policyId: ' + newPolicyId + ' was imported and applied on ' + target.targetUUID + ' ' + target.targetHost + ':' + target.targetPort);
+                                    })
+                                    .catch((err) => {
+                                        if (err.cancelled) {
+                                            this.logger.info(LOGGINGPREFIX + err.message);
+                                        } else if (err.rolledBack) {
+                                            this.logger.severe(LOGGINGPREFIX + 'policy ' + targetPolicyName + ' was rolled back on ' + target.targetHost + ':' + target.targetPort + ' - ' + err.message);
+                                        } else if (requestedTasks.hasOwnProperty(requestIndex)) {
+                                            this.logger.severe(LOGGINGPREFIX + 'error processing ASM policy in state:' + requestedTasks[requestIndex].state + ' - ' + err.message);
+                                            this.updateInflightState(target.targetHost, target.targetPort, targetPolicyName, ERROR, err.message);
+                                        } else {
+                                            this.logger.severe(LOGGINGPREFIX + 'error after applying ASM policy - ' + err.message);
+                                            this.updateInflightState(target.targetHost, target.targetPort, targetPolicyName, ERROR, err.message);
+                                        }
+                                    })
+                                    .then(() => {
+                                        return target;
+                                    });
+                            });
+                    });
+                })
+                .catch((err) => {
+                    // policy download, save or verification error
+                    this.logger.severe(LOGGINGPREFIX + err.message);
+                    this.failJob(jobId, err.message, targetPolicyName, transferIndex);
+                    if (!err.httpStatusCode) {
+                        err.httpStatusCode = 500;
+                    }
+                    failRequest(err);
+                });
+        } else {
+            // validate the source device before returning initial POST request response
+            validationPromises.push(this.validateTarget(sourceDevice));
+            // Use validate source device to populate source object for promise
+            // chain which pulls source policy and pushes to targetDevice(s).
+            // Calling twice is messy looking, but invalid source device will both
+            // trigger an error to initial POST request and stop further async
+            // processing this way.
+            this.validateTarget(sourceDevice)
+                .then((source) => {
+                    // clean up input variable
+                    let sourcePolicyId = targetPolicyName;
+                    let sourcePolicyName = false;
+                    let sourcePolicyLastChanged = null;
+                    let sourcePolicyTimestamp = null;
+                    let sourcePolicyVersion = null;
+                    if (policyId) {
+                        sourcePolicyId = policyId;
+                    }
+                    let requestIndex = null;
+                    this.getPoliciesOnBigIP(source.targetHost, source.targetPort)
+                        .then((sourcePolicies) => {
+                            sourcePolicies.forEach((sourcePolicy) => {
+                                if ((policyId && sourcePolicy.id == policyId) || (policyName && policyName == sourcePolicy.name)) {
+                                    sourcePolicyId = sourcePolicy.id;
+                                    sourcePolicyName = sourcePolicy.name;
+                                    sourcePolicyLastChanged = sourcePolicy.lastChanged;
+                                    sourcePolicyTimestamp = new Date(sourcePolicy.lastChanged).getTime();
+                                }
+                            });
+                            if (!sourcePolicyName) {
+                                const throwErr = new Error(`source policy ${policyName} could not be found on ${source.targetHost}:${source.targetPort}`);
+                                throw throwErr;
+                            } else {
+                                this.logger.info(LOGGINGPREFIX + 'request made to transfer and import source policy ' + sourcePolicyName + ' as ' + targetPolicyName + ' from source device ' + source.targetUUID + ' ' + source.targetHost + ":" + source.targetPort);
+                                this.logger.info(LOGGINGPREFIX + 'source policy ' + sourcePolicyName + ' was found on source device as policy id: ' + sourcePolicyId + ' last changed: ' + sourcePolicyLastChanged);
+                                this.updateJobSource(jobId, source.targetHost, source.targetPort, sourcePolicyId);
+                                this.exportPolicyFromBigIP(source.targetHost, source.targetPort, sourcePolicyId, sourcePolicyTimestamp)
+                                    .then(() => {
+                                        // targets are checked against the version in the exported policy file, as for uploaded policies
+                                        sourcePolicyVersion = this.getPolicyVersionFromFile(this.resolvePolicyFileName(sourcePolicyId, sourcePolicyTimestamp));
+                                        return this.transformPolicyFile(jobId, request.transforms, sourcePolicyId, sourcePolicyTimestamp, targetPolicyName);
+                                    })
+                                    .then((transformedPolicyId) => {
+                                        return this.rolloutToTargets(jobId, targetPolicyName, waves, rollout, (targetDevice) => {
+                                            // re-validate the target host to make sure it is still valid for policy processing
+                                            return this.validateTarget(targetDevice)
+                                                .then((target) => {
+                                                    this.logger.info(LOGGINGPREFIX + 'request made to import source policy ' + sourcePolicyName + ' as ' + targetPolicyName + ' from source device ' + source.targetUUID + ' ' + source.targetHost + ":" + source.targetPort + ' on device ' + target.targetUUID + ' ' + target.targetHost + ':' + target.targetPort);
+                                                    let requestIndex = `${target.targetHost}:${target.targetPort}:${targetPolicyName}`;
+                                                    if (skipVersionCheck || this.validateTMOSCompatibility(sourcePolicyVersion, target.targetVersion)) {
+                                                        this.updateInflightState(target.targetHost, target.targetPort, targetPolicyName, QUERYING);
+                                                        return this.getPoliciesOnBigIP(target.targetHost, target.targetPort, true)
+                                                            .then((targetPolicies) => {
+                                                                this.checkCancelled(target.targetHost, target.targetPort, targetPolicyName);
+                                                                let policyIsCurrent = false;
+                                                                let existingPolicy = null;
+                                                                targetPolicies.forEach((targetPolicy) => {
+                                                                    // a transformed or rendered policy differs from the source policy even when lastChanged is the same,
+                                                                    // and attaching is part of the import
+                                                                    if (targetPolicyName == targetPolicy.name && sourcePolicyLastChanged == targetPolicy.lastChanged && !request.template && !request.transforms && !request.attach) {
+                                                                        // the policy WAS found on the target device and it is the same exact policy version.. no further processing needed
+                                                                        this.logger.info(LOGGINGPREFIX + 'requested policy name:' + targetPolicyName + ' lastChanged:' + targetPolicy.lastChanged + ' already exists on target device:' + target.targetUUID + ' ' + target.targetHost + ':' + target.targetPort);
+                                                                        // setting to FINISHED will remove the requestedTask entry
+                                                                        this.updateJobTargetPolicyId(target.targetHost, target.targetPort, targetPolicyName, targetPolicy.id);
+                                                                        this.updateInflightState(target.targetHost, target.targetPort, targetPolicyName, FINISHED);
+                                                                        policyIsCurrent = true;
+                                                                    } else if (targetPolicyName == targetPolicy.name) {
+                                                                        // the policy WAS found on the target device, but it was another version, flag the policy for replacement
+                                                                        this.logger.info(LOGGINGPREFIX + 'requested policy name:' + targetPolicyName + ' was found on the target device but the lastChanged timestamps (source: ' + sourcePolicyLastChanged + ' target: ' + targetPolicy.lastChanged + ') were not the same. replacing policy on target device.');
+                                                                        existingPolicy = targetPolicy;
+                                                                    }
+                                                                });
+                                                                if (!policyIsCurrent) {
+                                                                    return this.renderPolicyTemplate(request.template, transformedPolicyId, sourcePolicyTimestamp, target, targetPolicyName)
+                                                                        .then((uploadPolicyId) => {
+                                                                            return this.replacePolicyOnBigIP(target.targetHost, target.targetPort, uploadPolicyId, targetPolicyName, sourcePolicyTimestamp, existingPolicy, replaceStrategy, request.apply, request.attach);
+                                                                        });
+                                                                }
+                                                            })
+                                                            .then(() => {
+                                                                this.logger.info(LOGGINGPREFIX + 'policy ' + sourcePolicyId + ' imported and applied on ' + target.targetUUID + ' ' + target.targetHost + ':' + target.targetPort);
+                                                            })
+                                                            .catch((err) => {
+                                                                if (err.cancelled) {
+                                                                    this.logger.info(LOGGINGPREFIX + err.message);
+                                                                } else if (err.rolledBack) {
+                                                                    this.logger.severe(LOGGINGPREFIX + 'policy ' + targetPolicyName + ' was rolled back on ' + target.targetHost + ':' + target.targetPort + ' - ' + err.message);
+                                                                } else {
+                                                                    this.logger.severe(LOGGINGPREFIX + 'error processing ASM policy - ' + err.message);
+                                                                    this.updateInflightState(target.targetHost, target.targetPort, targetPolicyName, ERROR, err.message);
+                                                                }
+                                                            })
+                                                            .then(() => {
+                                                                return target;
+                                                            });
+                                                    } else {
+                                                        const versionError = 'policy XML file TMOS version:' + sourcePolicyVersion + ' is not compatible with ASM on ' + target.targetVersion;
+                                                        this.logger.severe(LOGGINGPREFIX + versionError + ' on device ' + target.targetUUID + '. Skipping policy import for this device.');
+                                                        this.updateInflightState(target.targetHost, target.targetPort, targetPolicyName, ERROR, versionError);
+                                                        return target;
+                                                    }
+                                                });
+                                        });
+                                    })
+                                    .catch((err) => {
+                                        this.failJob(jobId, err.message, targetPolicyName, transferIndex);
+                                        err.httpStatusCode = 500;
+                                        failRequest(err);
+                                    });
+                            }
+                        })
+                        .catch((err) => {
+                            this.failJob(jobId, err.message, targetPolicyName, transferIndex);
+                            err.httpStatusCode = 400;
+                            failRequest(err);
+                        });
+                })
+                .catch((err) => {
+                    this.failJob(jobId, err.message, targetPolicyName, transferIndex);
+                    err.httpStatusCode = 400;
+                    failRequest(err);
+                });
+        }
+        // wait for all validation promises to return before returning initial post response
+        return Promise.all(validationPromises)
+            .then(() => {
+                // set state to DOWNLOADING for source URL download
+                if (sourceUrl) {
+                    targetDevices.map((targetDevice) => {
+                        this.validateTarget(targetDevice)
+                            .then((target) => {
+                                this.updateInflightState(target.targetHost, target.targetPort, targetPolicyName, DOWNLOADING);
+                            });
+                    });
+                }
+                return returnTasks;
+            })
+            .catch((err) => {
+                this.logger.severe(LOGGINGPREFIX + err.message);
+                this.failJob(jobId, err.message, targetPolicyName, transferIndex);
+                err.httpStatusCode = 400;
+                throw err;
+            });
+    }
+    /**
+     * Return the plan for a POST request without changing any device
+     * @param {RestOperation} restOperation
+     * @param {Object} request the normalized POST request parameters
+     * @param {Object} downloadOptions source URL credentials
+     * @param {String} policyXml inline policy XML
+     */
+    onPostDryRun(restOperation, request, downloadOptions, policyXml) {
+        this.planPostRequest(request, downloadOptions, policyXml)
+            .then((plan) => {
+                restOperation.statusCode = 200;
+                restOperation.setContentType('application/json');
+                restOperation.body = plan;
+                this.completeRestOperation(restOperation);
+            })
+            .catch((err) => {
+                this.logger.severe(LOGGINGPREFIX + 'could not plan request - ' + err.message);
+                if (!err.httpStatusCode) {
+                    err.httpStatusCode = 400;
+                }
+                restOperation.fail(err);
+            });
+    }
+
+    /**
+     * Validate the source and target devices and query the target devices
+     * to plan what a POST request would do on each target device. Source URLs
+     * and inline policies are saved to the policy cache to check their TMOS version.
+     * @param {Object} request the normalized POST request parameters
+     * @param {Object} downloadOptions source URL credentials
+     * @param {String} policyXml inline policy XML
+     * @returns Promise resolving to the plan
+     */
+    planPostRequest(request, downloadOptions, policyXml) {
+        const waves = this.planRollout(null, request.targetDevices, request.rollout);
+        const plan = {
+            dryRun: true,
+            source: null,
+            targetPolicyName: request.targetPolicyName,
+            replaceStrategy: request.replaceStrategy,
+            waves: waves.length,
+            apply: request.apply,
+            attach: request.attach,
+            transforms: null,
+            targets: []
+        };
+        let planSource = null;
+        if (request.url) {
+            planSource = this.downloadPolicyFile(request.url, request.targetPolicyName, new Date().getTime(), downloadOptions)
+                .catch((err) => {
+                    err.httpStatusCode = 500;
+                    throw err;
+                })
+                .then((policyFile) => {
+                    return this.verifyPolicyFile(policyFile, request.verification);
+                })
+                .then((policyFile) => {
+                    plan.source = {
+                        url: request.url,
+                        policyVersion: this.getPolicyVersionFromFile(policyFile),
+                        verified: !!request.verification
+                    };
+                    return policyFile;
+                });
+        } else if (request.inline || request.restore || request.bundle) {
+            planSource = this.savePolicyFile(policyXml, request.targetPolicyName, new Date().getTime())
+                .then((policyFile) => {
+                    plan.source = {
+                        inline: request.inline,
+                        policyVersion: this.getPolicyVersionFromFile(policyFile)
+                    };
+                    if (request.restore) {
+                        plan.source = Object.assign({ restore: request.restore }, plan.source);
+                    } else if (request.bundle) {
+                        plan.source = Object.assign({ bundle: request.bundle }, plan.source);
+                    }
+                    return policyFile;
+                });
+        } else {
+            planSource = this.validateTarget(request.sourceDevice)
+                .then((source) => {
+                    return this.getPoliciesOnBigIP(source.targetHost, source.targetPort)
+                        .then((sourcePolicies) => {
+                            sourcePolicies.forEach((sourcePolicy) => {
+                                if ((request.policyId && sourcePolicy.id == request.policyId) || (request.policyName && request.policyName == sourcePolicy.name)) {
+                                    plan.source = {
+                                        sourceHost: source.targetHost,
+                                        sourcePort: source.targetPort,
+                                        sourceUUID: source.targetUUID,
+                                        sourceVersion: source.targetVersion,
+                                        policyId: sourcePolicy.id,
+                                        policyName: sourcePolicy.name,
+                                        lastChanged: sourcePolicy.lastChanged
+                                    };
+                                }
+                            });
+                            if (!plan.source) {
+                                throw new Error(`source policy ${request.policyName || request.policyId} could not be found on ${source.targetHost}:${source.targetPort}`);
+                            }
+                            return null;
+                        });
+                });
+        }
+        if (request.transforms) {
+            // source device policies are only transformed once they are exported
+            planSource = planSource
+                .then((policyFile) => {
+                    if (!policyFile) {
+                        return policyFile;
+                    }
+                    const transformed = transformPolicyXml(fs.readFileSync(`${downloadDirectory}/${policyFile}`, 'utf8'), request.transforms);
+                    plan.transforms = transformed.results;
+                    // plan the targets with the transformed policy
+                    return this.savePolicyFile(transformed.xml, request.targetPolicyName + '_transformed', new Date().getTime());
+                });
+        }
+        return planSource
+            .then((policyFile) => {
+                const targetPlans = request.targetDevices.map((targetDevice, targetIndex) => {
+                    const targetPlan = {
+                        targetHost: targetDevice,
+                        targetPort: null,
+                        targetUUID: null,
+                        targetVersion: null,
+                        wave: this.getRolloutWave(waves, targetIndex),
+                        action: PLANFAIL,
+                        existingPolicyId: null,
+                        reason: null
+                    };
+                    return this.validateTarget(targetDevice)
+                        .then((target) => {
+                            targetPlan.targetHost = target.targetHost;
+                            targetPlan.targetPort = target.targetPort;
+                            targetPlan.targetUUID = target.targetUUID || null;
+                            targetPlan.targetVersion = target.targetVersion || null;
+                            if (policyFile) {
+                                return this.validateFileIsValidASMPolicy(policyFile, target.targetVersion, request.skipVersionCheck)
+                                    .then(() => {
+                                        if (request.template) {
+                                            const policyXml = fs.readFileSync(`${downloadDirectory}/${policyFile}`, 'utf8');
+                                            const missing = renderTemplate(policyXml, this.resolveTemplateVariables(request.template, target, request.targetPolicyName)).missing;
+                                            if (missing.length > 0) {
+                                                throw new Error('policy template variables ' + missing.join(',') + ' are not defined for the target device');
+                                            }
+                                        }
+                                        return target;
+                                    });
+                            } else if (!(request.skipVersionCheck || this.validateTMOSCompatibility(plan.source.sourceVersion, target.targetVersion))) {
+                                throw new Error('policy TMOS version:' + plan.source.sourceVersion + ' is not compatible with ASM on ' + target.targetVersion);
+                            }
+                            return target;
+                        })
+                        .then((target) => {
+                            return this.getPoliciesOnBigIP(target.targetHost, target.targetPort, true);
+                        })
+                        .then((targetPolicies) => {
+                            targetPlan.action = PLANCREATE;
+                            targetPolicies.forEach((targetPolicy) => {
+                                if (targetPolicy.name == request.targetPolicyName) {
+                                    if (!policyFile && !request.template && !request.transforms && !request.attach && targetPolicy.lastChanged == plan.source.lastChanged) {
+                                        targetPlan.action = PLANSKIP;
+                                        targetPlan.reason = 'policy lastChanged ' + targetPolicy.lastChanged + ' is identical to the source policy';
+                                    } else {
+                                        targetPlan.action = PLANREPLACE;
+                                        targetPlan.reason = request.replaceStrategy == REPLACEOVERWRITE ? 'existing policy would be overwritten' : 'existing policy would be deleted';
+                                    }
+                                    targetPlan.existingPolicyId = targetPolicy.id;
+                                }
+                            });
+                            return targetPlan;
+                        })
+                        .catch((err) => {
+                            targetPlan.action = PLANFAIL;
+                            targetPlan.reason = err.message;
+                            return targetPlan;
+                        });
+                });
+                return Promise.all(targetPlans);
+            })
+            .then((targetPlans) => {
+                plan.targets = targetPlans;
+                return plan;
+            });
+    }
+
+    /**
+     * Delete can take 4 query params (targetHost, targetPort, policyId, policyName)
+     * example: /shared/TrustedASMPolicies?targetHost=10.144.72.186&targetPort=443&policyName=linux-high
+     * @param {RestOperation} restOperation
+     */
+    onDelete(restOperation) {
+        this.logger.info(LOGGINGPREFIX + 'received DELETE request event');
+        const paths = restOperation.uri.pathname.split('/');
+        const query = restOperation.getUri().query;
+        this.logger.fine(`onDelete: paths=${JSON.stringify(paths)} query=${JSON.stringify(query)}`);
+        if (paths.length > 3 && paths[3] == TASKSPATH) {
+            this.onDeleteTask(restOperation, paths[4]);
+            return;
+        }
+        if (paths.length > 3 && paths[3] == RECYCLEBINPATH) {
+            this.onDeleteRecycleBin(restOperation, paths[4]);
+            return;
+        }
+        if(Object.keys(query).length === 0 && paths.length === 3) {
+            throw new Error(`DELETE request must specify (targetHost || targetUUID) && (policyId or policyName) as query parameters or have a URI in the format '.../TrustedASMPolicies/<targetHost||targetUUID>/<policyId||policyName>'`);
+        }
+
+        let targetDevice = null;
+        let policyId = null;
+        let policyName = null;
+
+        if (query.targetHost) {
+            targetDevice = query.targetHost;
+        } else if (query.targetUUID) {
+            targetDevice = query.targetUUID;
+        } else if (paths.length > 3) {
+            targetDevice = paths[3];
+        }
+
+        if (query.policyId) {
+            policyId = query.policyId;
+        } else if (paths.length > 4) {
+            policyId = paths[4];
+        }
+
+        if (query.policyName) {
+            policyName = query.policyName;
+        } else if (paths.length > 4) {
+            policyName = paths[4];
+        }
+
+        // support async DELETING
+        let async = false;
+        if (query.async) {
+            if ( query.async.toLowerCase() === 'true' || query.async === '1' ) {
+                async = true;
+            }
+        }
+
+        // policies in use by virtual servers or LTM policies are only deleted
+        // with force, which removes the bindings first. detach is the same.
+        let detach = false;
+        [query.force, query.detach].forEach((value) => {
+            if (value && (value.toLowerCase() === 'true' || value === '1')) {
+                detach = true;
+            }
+        });
+
+        const targetSelector = this.getTargetSelector(query, {});
+        if (targetSelector) {
+            if (!(policyId || policyName)) {
+                const err = new Error('DELETE request with a target selector must specify a policyId or policyName');
+                err.httpStatusCode = 400;
+                restOperation.fail(err);
+            } else {
+                this.onDeleteSelectedTargets(restOperation, targetSelector, targetDevice ? [targetDevice] : [], policyId, policyName, async, detach);
+            }
+            return;
+        }
+
+        if(query.taskId) {
+            let returnPolicy = {
+                id: policyId,
+                targetHost: null,
+                targetPort: 443,
+                state: DELETING,
+                taskId: query.taskId
+            };
+            let checkTaskStatus = this.validateTarget(targetDevice)
+                .then((target) => {
+                    // populate response from target
+                    returnPolicy.targetHost = target.targetHost;
+                    returnPolicy.targetPort = target.targetPort;
+                    return this.getBulkTaskStatus(target.targetHost, target.targetPort, query.taskId);
+                })
+                .then((responseBody) => {
+                    // populate response from ASM bulk task state
+                    restOperation.statusCode = 200;
+                    if (responseBody.hasOwnProperty('status')){
+                        if (responseBody.status == 'FINISHED') {
+                            returnPolicy.state = DELETED;
+                        }
+                        if(responseBody.status == 'FAILURE') {
+                            restOperation.statusCode = 500;
+                            returnPolicy.state = ERROR;
+                        }
+                        restOperation.body = returnPolicy;
+                        this.completeRestOperation(restOperation);
+                    }
+                })
+                .catch((err) => {
+                    restOperation.statusCode = 500;
+                    returnPolicy.state = ERROR;
+                    this.completeRestOperation(restOperation);
+                });
+            Promise.all([checkTaskStatus]);
+        }
+
+        this.validateTarget(targetDevice)
+            .then((target) => {
+                this.deletePolicyOnTarget(target, policyId, policyName, async, detach)
+                    .then((deleteReturn) => {
+                        restOperation.statusCode = deleteReturn.state == DELETING ? 202 : 200;
+                        restOperation.body = deleteReturn;
+                        this.completeRestOperation(restOperation);
+                    })
+                    .catch((err) => {
+                        restOperation.fail(err);
+                    });
+            })
+            .catch((err) => {
+                err.httpStatusCode = 400;
+                restOperation.fail(err);
+            });
+    }
+
+    /**
+     * Delete a policy on every trusted device matching a target selector
+     * @param {RestOperation} restOperation
+     * @param {Object} targetSelector target selector
+     * @param {Array} targetDevices target hosts or UUIDs, which can not be combined with the selector
+     * @param {String} policyId ASM policy ID
+     * @param {String} policyName ASM policy name
+     * @param {Boolean} async return once the delete tasks have started
+     * @param {Boolean} detach remove virtual server and LTM policy bindings before deleting
+     */
+    onDeleteSelectedTargets(restOperation, targetSelector, targetDevices, policyId, policyName, async, detach) {
+        this.resolveTargetDevices(targetDevices, targetSelector)
+            .then((targets) => {
+                this.logger.info(LOGGINGPREFIX + 'target selector ' + JSON.stringify(targetSelector) + ' resolved to target devices ' + targets.map((target) => {
+                    return target.targetHost;
+                }).join(','));
+                const deletePromises = targets.map((target) => {
+                    return this.deletePolicyOnTarget(target, policyId, policyName, async, detach)
+                        .then((deleteReturn) => {
+                            deleteReturn.targetHost = target.targetHost;
+                            deleteReturn.targetPort = target.targetPort;
+                            deleteReturn.targetUUID = target.targetUUID;
+                            if (deleteReturn.status) {
+                                deleteReturn.state = DELETED;
+                            }
+                            return deleteReturn;
+                        })
+                        .catch((err) => {
+                            const targetReturn = {
+                                targetHost: target.targetHost,
+                                targetPort: target.targetPort,
+                                targetUUID: target.targetUUID,
+                                state: ERROR,
+                                errMessage: err.message
+                            };
+                            if (err.references) {
+                                targetReturn.virtualServers = err.references.virtualServers;
+                                targetReturn.ltmPolicies = err.references.ltmPolicies;
+                            }
+                            if (err.detached) {
+                                targetReturn.detached = err.detached;
+                            }
+                            return targetReturn;
+                        });
+                });
+                return Promise.all(deletePromises);
+            })
+            .then((targetReturns) => {
+                const failed = targetReturns.filter((targetReturn) => {
+                    return targetReturn.state == ERROR;
+                });
+                restOperation.statusCode = failed.length > 0 ? 500 : (async ? 202 : 200);
+                restOperation.setContentType('application/json');
+                restOperation.body = {
+                    msg: `policy ${policyName || policyId} ${async ? 'is being removed' : 'removed'} on ${targetReturns.length - failed.length} of ${targetReturns.length} targets`,
+                    targets: targetReturns
+                };
+                this.completeRestOperation(restOperation);
+            })
+            .catch((err) => {
+                if (!err.httpStatusCode) {
+                    err.httpStatusCode = 400;
+                }
+                restOperation.fail(err);
+            });
+    }
+
+    /**
+     * Delete a policy on a target device, or clear the request state of a
+     * policy which failed processing on the target device
+     * @param {Object} target validated trusted device
+     * @param {String} policyId ASM policy ID
+     * @param {String} policyName ASM policy name
+     * @param {Boolean} async return once the delete task has started
+     * @param {Boolean} detach remove virtual server and LTM policy bindings before deleting,
+     * a policy which is in use is not deleted without it
+     * @returns Promise resolving to the delete response
+     */
+    deletePolicyOnTarget(target, policyId, policyName, async, detach) {
+        return this.getPoliciesOnBigIP(target.targetHost, target.targetPort)
+            .then((policies) => {
+                let targetPolicy = null;
+                let targetPolicyId = null;
+                let targetPolicyState = null;
+                policies.forEach((policy) => {
+                    if (policyId && policy.id == policyId) {
+                        targetPolicy = policy;
+                        targetPolicyId = policy.id;
+                        targetPolicyState = policy.state;
+                    } else if (policyName && policy.name == policyName) {
+                        targetPolicy = policy;
+                        targetPolicyId = policy.id;
+                        targetPolicyState = policy.state;
+                    }
+                });
+                if (!targetPolicyId) {
+                    const throwError = new Error(`policy could not be found on ${target.targetHost}:${target.targetPort}`);
+                    throwError.httpStatusCode = 404;
+                    throw throwError;
+                }
+                const inFlightIndex = `${target.targetHost}:${target.targetPort}:${targetPolicyId}`;
+                if (Object.keys(requestedTasks).includes(inFlightIndex)) {
+                    const inFlightState = requestedTasks[inFlightIndex].state;
+                    if (inFlightState == ERROR || inFlightState == ROLLEDBACK || inFlightState == HALTED) {
+                        delete requestedTasks[inFlightIndex];
+                        return {
+                            msg: `policy processing removed for policy: ${targetPolicyId} in ${inFlightState} state`
+                        };
+                    }
+                    const throwErr = new Error('can not delete policy while processing. Current policy processing state is:' + inFlightState);
+                    throwErr.httpStatusCode = 409;
+                    throw throwErr;
+                }
+                if (!(targetPolicyState == AVAILABLE || targetPolicyState == INACTIVE)) {
+                    const throwErr = new Error('can not delete policy on target: ' + target.targetHost + ":" + target.targetPort + ' - policy state is:' + targetPolicyState);
+                    throwErr.httpStatusCode = 409;
+                    throw throwErr;
+                }
+                // set once detaching starts, a failure after it attaches the policy again
+                let detached = null;
+                let detachedReferences = null;
+                let recycled = null;
+                let inUseReferences = null;
+                return this.getPolicyReferencesOnBigIP(target.targetHost, target.targetPort, targetPolicyId)
+                    .then((references) => {
+                        if (references.virtualServers.length === 0 && references.ltmPolicies.length === 0) {
+                            return;
+                        }
+                        if (!detach) {
+                            const throwErr = new Error('can not delete policy ' + references.fullPath + ' on target: ' + target.targetHost + ':' + target.targetPort + ' - policy is in use by ' + describePolicyReferences(references) + '. Set force=true to detach it and delete it.');
+                            throwErr.httpStatusCode = 409;
+                            throwErr.references = references;
+                            throw throwErr;
+                        }
+                        inUseReferences = references;
+                    })
+                    .then(() => {
+                        // the policy is saved before it is detached, so a failed export leaves it attached
+                        return this.recyclePolicyOnBigIP(target, targetPolicy, RECYCLEDELETED, null);
+                    })
+                    .then((entry) => {
+                        recycled = entry;
+                        if (!inUseReferences) {
+                            return;
+                        }
+                        detachedReferences = inUseReferences;
+                        detached = {
+                            virtualServers: inUseReferences.virtualServers,
+                            ltmPolicies: inUseReferences.ltmPolicies.map((ltmPolicy) => {
+                                return ltmPolicy.name;
+                            })
+                        };
+                        return this.detachPolicyOnBigIP(target.targetHost, target.targetPort, targetPolicyId);
+                    })
+                    .then(() => {
+                        return this.deleteTaskOnBigIP(target.targetHost, target.targetPort, targetPolicyId, async);
+                    })
+                    .then((deleteReturn) => {
+                        if (!deleteReturn) {
+                            deleteReturn = {};
+                        }
+                        if (detached) {
+                            deleteReturn.detached = detached;
+                        }
+                        deleteReturn.recycleBinId = recycled.id;
+                        deleteReturn.msg = `policy ${policyName} removed on target ${target.targetHost}:${target.targetPort}`;
+                        if (async) {
+                            deleteReturn.msg = `policy ${policyName} is being removed on target ${target.targetHost}:${target.targetPort}`;
+                        }
+                        return deleteReturn;
+                    })
+                    .catch((err) => {
+                        // the policy is still on the device, so it is not in the recycle bin
+                        if (recycled) {
+                            this.removeRecycleBinEntry(recycled);
+                        }
+                        if (!detached) {
+                            throw err;
+                        }
+                        // the policy is still on the device, so the virtual servers get their protection back
+                        err.detached = detached;
+                        return this.reattachPolicyOnBigIP(target.targetHost, target.targetPort, targetPolicyId, detached)
+                            .then(() => {
+                                err.message = err.message + ' - policy was attached again to ' + describePolicyReferences(detachedReferences);
+                            }, (attachErr) => {
+                                err.message = err.message + ' - policy was detached from ' + describePolicyReferences(detachedReferences) + ' and could not be attached again - ' + attachErr.message;
+                            })
+                            .then(() => {
+                                throw err;
+                            });
+                    });
+            });
+    }
+
+    /**
+     * Attach a policy again to the virtual servers and LTM policies it was detached from
+     * @param {Object} detached virtualServers and ltmPolicies names from a forced delete
+     * @returns Promise resolving when every binding is attached
+     */
+    reattachPolicyOnBigIP(targetHost, targetPort, policyId, detached) {
+        const ltmPolicies = detached.ltmPolicies.length > 0 ? detached.ltmPolicies : [null];
+        // LTM policy drafts are edited and published one at a time
+        return ltmPolicies.reduce((previous, ltmPolicy, index) => {
+            return previous.then(() => {
+                return this.attachPolicyOnBigIP(targetHost, targetPort, policyId, {
+                    virtualServers: index === 0 ? detached.virtualServers : [],
+                    ltmPolicy: ltmPolicy
+                });
+            });
+        }, Promise.resolve());
+    }
+
+    /**
+     * Purge a recycle bin entry, or the entries deleted more than olderThanDays ago
+     * example: /shared/TrustedASMPolicies/recyclebin?olderThanDays=7
+     * @param {RestOperation} restOperation
+     * @param {String} entryId recycle bin entry ID
+     */
+    onDeleteRecycleBin(restOperation, entryId) {
+        const query = restOperation.getUri().query;
+        let entries = [];
+        if (entryId) {
+            const entry = this.getRecycleBinEntry(entryId);
+            if (!entry) {
+                const err = new Error('recycle bin entry ' + entryId + ' was not found');
+                err.httpStatusCode = 404;
+                restOperation.fail(err);
+                return;
+            }
+            entries = [entry];
+        } else {
+            if (!(query.olderThanDays && isFinite(query.olderThanDays) && Number(query.olderThanDays) >= 0)) {
+                const err = new Error('DELETE request must specify a recycle bin entry in the format \'.../TrustedASMPolicies/' + RECYCLEBINPATH + '/<entryId>\' or olderThanDays as a non-negative number');
+                err.httpStatusCode = 400;
+                restOperation.fail(err);
+                return;
+            }
+            const purgeTime = new Date().getTime() - (Number(query.olderThanDays) * 86400e3);
+            entries = this.getRecycleBinEntries().filter((entry) => {
+                return new Date(entry.deleted).getTime() <= purgeTime;
+            });
+        }
+        const purged = entries.filter((entry) => {
+            return this.removeRecycleBinEntry(entry);
+        });
+        restOperation.statusCode = purged.length < entries.length ? 500 : 200;
+        restOperation.setContentType('application/json');
+        restOperation.body = {
+            msg: `purged ${purged.length} of ${entries.length} recycle bin entries`,
+            purged: purged.map((entry) => {
+                return entry.id;
+            })
+        };
+        this.completeRestOperation(restOperation);
+    }
+
+    /**
+     * Delete on a task cancels processing for all targets in the task, or only
+     * the target given as targetHost or targetUUID query params
+     * example: /shared/TrustedASMPolicies/tasks/7f1a3c0e-4b5e-4d6b-9a3c-1e2f3a4b5c6d?targetHost=10.144.72.186
+     * @param {RestOperation} restOperation
+     * @param {String} jobId job ID
+     */
+    onDeleteTask(restOperation, jobId) {
+        const query = restOperation.getUri().query;
+        let targetDevice = null;
+        if (query.targetHost) {
+            targetDevice = query.targetHost;
+        } else if (query.targetUUID) {
+            targetDevice = query.targetUUID;
+        }
+        if (!jobId) {
+            const err = new Error('DELETE request must specify a task ID in the format \'.../TrustedASMPolicies/tasks/<taskId>\'');
+            err.httpStatusCode = 400;
+            restOperation.fail(err);
+            return;
+        }
+        this.cancelJob(jobId, targetDevice)
+            .then((job) => {
+                restOperation.statusCode = 200;
+                restOperation.setContentType('application/json');
+                restOperation.body = job;
+                this.completeRestOperation(restOperation);
+            })
+            .catch((err) => {
+                if (!err.httpStatusCode) {
+                    err.httpStatusCode = 500;
+                }
+                restOperation.fail(err);
+            });
+    }
+
+    getPoliciesOnBigIP(targetHost, targetPort, excludeInFlight) {
+        return new Promise((resolve, reject) => {
+            // assume targetHost + targetPort have ASM provisioned
+            // assume localhost should be returning only all inflight requests
+            let returnPolicies = {};
+            let inFlightPolicyIds = [];
+            if (!excludeInFlight) {
+                Object.keys(requestedTasks).forEach((inFlightIndex) => {
+                    if (targetHost != 'localhost') {
+                        if (inFlightIndex.startsWith(targetHost + ':' + targetPort)) {
+                            inFlightPolicyIds.push(requestedTasks[inFlightIndex].id);
+                            returnPolicies[requestedTasks[inFlightIndex].name] = requestedTasks[inFlightIndex];
+                        }
+                    } else {
+                        inFlightPolicyIds.push(requestedTasks[inFlightIndex].id);
+                        returnPolicies[requestedTasks[inFlightIndex].name] = requestedTasks[inFlightIndex];
+                    }
+                });
+            }
+            if (targetHost != 'localhost') {
+                // augment inFlight requests for targetHost:targetPort with ASM policies on device
+                this.logger.fine(LOGGINGPREFIX + 'making iControl REST to get ASM policies on targetHost: ' + targetHost);
+                this.restRequestSender.sendGet(this.getQueryPoliciesRestOp(targetHost, targetPort))
+                    .then((response) => {
+                        let policies = response.getBody();
+                        if (policies.hasOwnProperty('items')) {
+                            //this.logger.fine(LOGGINGPREFIX + 'getPoliciesOnBigIP on targetHost: ' + targetHost + ' returned: ' + JSON.stringify(policies));
+                            policies.items.forEach((policy) => {
+                                let returnPolicy = {
+                                    id: policy.id,
+                                    name: policy.name,
+                                    targetHost: targetHost,
+                                    targetPort: targetPort,
+                                    enforcementMode: policy.enforcementMode,
+                                    lastChanged: policy.versionDatetime,
+                                    lastChange: policy.versionLastChange,
+                                    state: AVAILABLE,
+                                    path: policy.fullPath
+                                };
+                                if (!policy.active) {
+                                    returnPolicy.state = 'INACTIVE';
+                                }
+                                if (!inFlightPolicyIds.includes(policy.id)) {
+                                    returnPolicies[policy.name] = returnPolicy;
+                                }
+                            });
+                        } else {
+                            this.logger.severe(LOGGINGPREFIX + 'iControl REST request to get ASM policies on targetHost: ' + targetHost + ' did not return a list of policies. Return body: ' + JSON.stringify(policies));
+                            reject(new Error('policies request did not return a list of policies. Returned body: ' + JSON.stringify(policies)));
+                        }
+                        resolve(Object.keys(returnPolicies).map(function (key) { return returnPolicies[key]; }));
+                    })
+                    .catch((err) => {
+                        if (err.message.includes('java.net.ConnectException: Connection refused')) {
+                            reject(new Error('ASM is not provisioned on ' + targetHost + ':' + targetPort));
+                        } else {
+                            this.logger.severe(LOGGINGPREFIX + 'iControl REST request to get ASM policies on targetHost: ' + targetHost + ' failed with exception response: ' + JSON.stringify({ message: err.message, stack: err.stack }));
+                            reject(err);
+                        }
+                    });
+            } else {
+                resolve(returnPolicies);
+            }
+        });
+    }
+
+    /**
+     * Query ASM policies on every trusted device. Device errors are
+     * reported inline so one failed device does not fail the inventory.
+     * @param {String} policyName optional policy name prefix filter
+     * @param {String} policyId optional policy ID filter
+     * @param {Boolean} excludeInFlight leave out policies requested on the devices which are not imported yet
+     * @returns Promise resolving to a list of devices with their policies
+     */
+    getPolicyInventory(policyName, policyId, excludeInFlight) {
+        return new Promise((resolve, reject) => {
+            this.getDevices()
+                .then((devices) => {
+                    const inventoryPromises = [];
+                    devices.forEach((device) => {
+                        const inventoryDevice = {
+                            targetHost: device.targetHost,
+                            targetPort: device.targetPort,
+                            targetUUID: device.targetUUID,
+                            targetHostname: device.targetHostname,
+                            targetVersion: device.targetVersion,
+                            state: device.state,
+                            policies: [],
+                            error: null
+                        };
+                        if (device.state == UNDISCOVERED) {
+                            inventoryDevice.error = 'device ' + device.targetHost + ':' + device.targetPort + ' is unreachable - state: ' + device.state;
+                            inventoryPromises.push(Promise.resolve(inventoryDevice));
+                        } else {
+                            inventoryPromises.push(
+                                this.getPoliciesOnBigIP(device.targetHost, device.targetPort, excludeInFlight)
+                                    .then((policies) => {
+                                        policies.forEach((policy) => {
+                                            if ((!policyName && !policyId) ||
+                                                (policyName && policy.name.startsWith(policyName)) ||
+                                                (policyId && policy.id == policyId)) {
+                                                inventoryDevice.policies.push(policy);
+                                            }
+                                        });
+                                        return inventoryDevice;
+                                    })
+                                    .catch((err) => {
+                                        this.logger.severe(LOGGINGPREFIX + 'error querying policies for inventory on ' + device.targetHost + ':' + device.targetPort + ' - ' + err.message);
+                                        inventoryDevice.error = err.message;
+                                        return inventoryDevice;
+                                    })
+                            );
+                        }
+                    });
+                    return Promise.all(inventoryPromises);
+                })
+                .then((inventory) => {
+                    resolve(inventory);
+                })
+                .catch((err) => {
+                    reject(err);
+                });
+        });
+    }
+
+    /**
+     * Compare a source policy with the same named policy on target devices
+     * without transferring anything.
+     * @param {String} sourceDevice source device host or UUID
+     * @param {String} policyId source policy ID
+     * @param {String} policyName source policy name
+     * @param {Array} targets validated target devices
+     * @param {String} targetPolicyName optional policy name on the targets, defaults to the source policy name
+     * @param {Boolean} compareContent compare exported policy content hashes when lastChanged differs
+     * @returns Promise resolving to the drift report
+     */
+    getDriftReport(sourceDevice, policyId, policyName, targets, targetPolicyName, compareContent) {
+        return new Promise((resolve, reject) => {
+            const report = {
+                sourceHost: null,
+                sourcePort: null,
+                policyId: null,
+                policyName: null,
+                lastChanged: null,
+                hash: null,
+                targets: []
+            };
+            let sourcePolicyTimestamp = null;
+            this.validateTarget(sourceDevice)
+                .then((source) => {
+                    report.sourceHost = source.targetHost;
+                    report.sourcePort = source.targetPort;
+                    return this.getPoliciesOnBigIP(source.targetHost, source.targetPort, true);
+                })
+                .then((sourcePolicies) => {
+                    sourcePolicies.forEach((sourcePolicy) => {
+                        if ((policyId && sourcePolicy.id == policyId) || (policyName && policyName == sourcePolicy.name)) {
+                            report.policyId = sourcePolicy.id;
+                            report.policyName = sourcePolicy.name;
+                            report.lastChanged = sourcePolicy.lastChanged;
+                            sourcePolicyTimestamp = new Date(sourcePolicy.lastChanged).getTime();
+                        }
+                    });
+                    if (!report.policyId) {
+                        const throwErr = new Error(`source policy ${policyName || policyId} could not be found on ${report.sourceHost}:${report.sourcePort}`);
+                        throwErr.httpStatusCode = 404;
+                        throw throwErr;
+                    }
+                    if (!targetPolicyName) {
+                        targetPolicyName = report.policyName;
+                    }
+                    if (compareContent) {
+                        return this.exportPolicyFromBigIP(report.sourceHost, report.sourcePort, report.policyId, sourcePolicyTimestamp)
+                            .then(() => {
+                                return this.getPolicyContentHash(report.policyId, sourcePolicyTimestamp);
+                            })
+                            .then((hash) => {
+                                report.hash = hash;
+                            });
+                    }
+                })
+                .then(() => {
+                    const driftPromises = [];
+                    targets.forEach((target) => {
+                        driftPromises.push(this.getPolicyDrift(target, targetPolicyName, report));
+                    });
+                    return Promise.all(driftPromises);
+                })
+                .then((targetReports) => {
+                    report.targets = targetReports;
+                    resolve(report);
+                })
+                .catch((err) => {
+                    reject(err);
+                });
+        });
+    }
+
+    getPolicyDrift(target, targetPolicyName, sourceReport) {
+        const targetReport = {
+            targetHost: target.targetHost,
+            targetPort: target.targetPort,
+            targetUUID: target.targetUUID,
+            policyName: targetPolicyName,
+            policyId: null,
+            lastChanged: null,
+            hash: null,
+            status: MISSING,
+            comparedBy: null,
+            error: null
+        };
+        return this.getPoliciesOnBigIP(target.targetHost, target.targetPort, true)
+            .then((targetPolicies) => {
+                targetPolicies.forEach((targetPolicy) => {
+                    if (targetPolicy.name == targetPolicyName) {
+                        targetReport.policyId = targetPolicy.id;
+                        targetReport.lastChanged = targetPolicy.lastChanged;
+                    }
+                });
+                if (!targetReport.policyId) {
+                    return targetReport;
+                }
+                if (targetReport.lastChanged == sourceReport.lastChanged) {
+                    targetReport.status = IDENTICAL;
+                    targetReport.comparedBy = 'lastChanged';
+                    return targetReport;
+                }
+                if (!sourceReport.hash) {
+                    targetReport.status = DRIFTED;
+                    targetReport.comparedBy = 'lastChanged';
+                    return targetReport;
+                }
+                const targetPolicyTimestamp = new Date(targetReport.lastChanged).getTime();
+                return this.exportPolicyFromBigIP(target.targetHost, target.targetPort, targetReport.policyId, targetPolicyTimestamp)
+                    .then(() => {
+                        return this.getPolicyContentHash(targetReport.policyId, targetPolicyTimestamp);
+                    })
+                    .then((hash) => {
+                        targetReport.hash = hash;
+                        targetReport.comparedBy = 'hash';
+                        if (hash == sourceReport.hash) {
+                            targetReport.status = IDENTICAL;
+                        } else {
+                            targetReport.status = DRIFTED;
+                        }
+                        return targetReport;
+                    });
+            })
+            .catch((err) => {
+                this.logger.severe(LOGGINGPREFIX + 'error reporting policy drift on ' + target.targetHost + ':' + target.targetPort + ' - ' + err.message);
+                targetReport.status = ERROR;
+                targetReport.error = err.message;
+                return targetReport;
+            });
+    }
+
+    /* jshint ignore:start */
+    updateInflightState(targetHost, targetPort, policyId, state, errMessage) {
+        const inFlightIndex = `${targetHost}:${targetPort}:${policyId}`;
+        if (jobTargets.hasOwnProperty(inFlightIndex)) {
+            if (!this.updateJobTarget(jobTargets[inFlightIndex], targetHost, targetPort, policyId, state, errMessage)) {
+                // the job target was cancelled, there is no request state to update
+                return;
+            }
+        }
+        if (state == FINISHED || state == IMPORTED) {
+            if (requestedTasks.hasOwnProperty(inFlightIndex)) {
+                this.logger.info(LOGGINGPREFIX + 'policy processing complete for policy: ' + policyId + ' removing state - targetHost: ' + targetHost);
+                delete requestedTasks[inFlightIndex];
+            }
+        } else {
+            if (!requestedTasks.hasOwnProperty(inFlightIndex)) {
+                this.logger.info(LOGGINGPREFIX + 'initializing policy: ' + policyId + ' processing state to:' + state + ' targetHost: ' + targetHost);
+                requestedTasks[inFlightIndex] = {
+                    id: policyId,
+                    name: policyId,
+                    enforcementMode: 'UNKNOWN',
+                    state: state,
+                    path: 'UNKNOWN'
+                }
+            } else {
+                this.logger.info(LOGGINGPREFIX + 'transitioning policy: ' + policyId + ' processing from state:' + requestedTasks[inFlightIndex].state + ' to state: ' + state + ' targetHost: ' + targetHost);
+                requestedTasks[inFlightIndex].state = state;
+            }
+            if (state == ERROR || state == ROLLEDBACK || state == HALTED) {
+                requestedTasks[inFlightIndex].errMessage = errMessage;
+            }
+        }
+    }
+    /* jshint ignore:end */
+
+    /**
+     * Create and persist a job for a POST request
+     * @param {Object} request the normalized POST request parameters, or a batch of them
+     * @returns {String} the job ID
+     */
+    createJob(request) {
+        const now = new Date().toISOString();
+        const job = {
+            id: generateId(),
+            state: REQUESTED,
+            targetPolicyName: request.batch ? request.batch.map((transfer) => {
+                return transfer.targetPolicyName;
+            }).join(',') : request.targetPolicyName,
+            request: request,
+            created: now,
+            lastUpdated: now,
+            errMessage: null,
+            targets: []
+        };
+        jobs[job.id] = job;
+        this.saveJob(job);
+        this.logger.info(LOGGINGPREFIX + 'created job ' + job.id + ' for policy ' + job.targetPolicyName);
+        return job.id;
+    }
+
+    /**
+     * Split target devices into rollout waves. A canary wave of canaryCount
+     * targets goes first, then the remaining targets in waves of batchSize.
+     * Without rollout options all targets are processed in a single wave.
+     * @param {String} jobId job ID
+     * @param {Array} targetDevices target hosts or UUIDs in request order
+     * @param {Object} rollout rollout options
+     * @returns {Array} waves of target devices
+     */
+    planRollout(jobId, targetDevices, rollout) {
+        const remaining = targetDevices.slice();
+        const waves = [];
+        if (rollout.canaryCount > 0) {
+            waves.push(remaining.splice(0, rollout.canaryCount));
+        }
+        const batchSize = rollout.batchSize > 0 ? rollout.batchSize : remaining.length;
+        while (remaining.length > 0) {
+            waves.push(remaining.splice(0, batchSize));
+        }
+        const job = jobs[jobId];
+        if (job) {
+            job.waves = waves.length;
+            job.currentWave = 0;
+            this.saveJob(job);
+        }
+        return waves;
+    }
+
+    getRolloutWave(waves, targetIndex) {
+        let waveStart = 0;
+        for (let i = 0; i < waves.length; i++) {
+            waveStart = waveStart + waves[i].length;
+            if (targetIndex < waveStart) {
+                return i + 1;
+            }
+        }
+        return waves.length;
+    }
+
+    /**
+     * Process target devices wave by wave. Each wave starts after every target
+     * in the previous wave has finished and the soak delay has passed. Targets
+     * in later waves are HALTED once more than maxFailures targets have failed.
+     * @param {String} jobId job ID
+     * @param {String} policyName policy name on the target devices
+     * @param {Array} waves waves of target devices from planRollout
+     * @param {Object} rollout rollout options
+     * @param {Function} processTarget returns a Promise resolving to the validated target when processing ends
+     * @returns Promise resolving when all waves have finished or the rollout halted
+     */
+    rolloutToTargets(jobId, policyName, waves, rollout, processTarget) {
+        let failures = 0;
+        const runWave = (waveIndex) => {
+            const job = jobs[jobId];
+            // each transfer of a batch job rolls out on its own, so batch jobs have no current wave
+            if (job && !job.request.batch) {
+                job.currentWave = waveIndex + 1;
+                this.saveJob(job);
+            }
+            if (waves.length > 1) {
+                this.logger.info(LOGGINGPREFIX + 'job ' + jobId + ' starting rollout wave ' + (waveIndex + 1) + ' of ' + waves.length + ' to ' + waves[waveIndex].join(','));
+            }
+            return Promise.all(waves[waveIndex].map((targetDevice) => {
+                return processTarget(targetDevice)
+                    .then((target) => {
+                        const jobTarget = job ? this.getJobTarget(job, target.targetHost, target.targetPort, policyName) : null;
+                        if (!jobTarget || (jobTarget.state != FINISHED && jobTarget.state != IMPORTED && jobTarget.state != CANCELLED)) {
+                            failures++;
+                        }
+                    })
+                    .catch((err) => {
+                        this.logger.severe(LOGGINGPREFIX + 'job ' + jobId + ' could not process target ' + targetDevice + ' - ' + err.message);
+                        failures++;
+                    });
+            }))
+                .then(() => {
+                    if (waveIndex == waves.length - 1) {
+                        return;
+                    }
+                    if (failures > rollout.maxFailures) {
+                        this.haltRollout(jobId, policyName, waveIndex + 1, failures);
+                        return;
+                    }
+                    if (rollout.soakSeconds > 0) {
+                        this.logger.info(LOGGINGPREFIX + 'job ' + jobId + ' rollout wave ' + (waveIndex + 1) + ' completed, soaking for ' + rollout.soakSeconds + ' seconds');
+                    }
+                    return wait(rollout.soakSeconds * 1000)
+                        .then(() => {
+                            return runWave(waveIndex + 1);
+                        });
+                });
+        };
+        return runWave(0);
+    }
+
+    haltRollout(jobId, policyName, lastWave, failures) {
+        const job = jobs[jobId];
+        if (!job) {
+            return;
+        }
+        const errMessage = 'rollout halted after wave ' + lastWave + ' with ' + failures + ' failed targets';
+        this.logger.severe(LOGGINGPREFIX + 'job ' + jobId + ' ' + errMessage);
+        job.targets.forEach((jobTarget) => {
+            if (jobTarget.policyName == policyName && jobTarget.wave > lastWave && !JOBTERMINALSTATES.includes(jobTarget.state)) {
+                this.updateInflightState(jobTarget.targetHost, jobTarget.targetPort, jobTarget.policyName, HALTED, errMessage);
+            }
+        });
+    }
+
+    getJobTarget(job, targetHost, targetPort, policyName) {
+        let jobTarget = null;
+        job.targets.forEach((target) => {
+            if (target.targetHost == targetHost && target.targetPort == targetPort && (!policyName || target.policyName == policyName)) {
+                jobTarget = target;
+            }
+        });
+        return jobTarget;
+    }
+
+    addJobTarget(jobId, target, policyName, wave, transferIndex) {
+        const job = jobs[jobId];
+        if (!job) {
+            return null;
+        }
+        let jobTarget = this.getJobTarget(job, target.targetHost, target.targetPort, policyName);
+        if (!jobTarget) {
+            jobTarget = {
+                targetHost: target.targetHost,
+                targetPort: target.targetPort,
+                targetUUID: target.targetUUID || null,
+                policyName: policyName,
+                policyId: null,
+                snapshot: null,
+                wave: wave || 1,
+                state: REQUESTED,
+                errMessage: null,
+                transitions: [{
+                    state: REQUESTED,
+                    timestamp: new Date().toISOString()
+                }]
+            };
+            if (transferIndex !== undefined) {
+                jobTarget.transfer = transferIndex;
+            }
+            job.targets.push(jobTarget);
+            this.saveJob(job);
+        }
+        return jobTarget;
+    }
+
+    /**
+     * Record a state transition for a job target
+     * @returns {Boolean} false if the job target was cancelled and keeps its CANCELLED state
+     */
+    updateJobTarget(jobId, targetHost, targetPort, policyName, state, errMessage) {
+        const job = jobs[jobId];
+        if (!job) {
+            return true;
+        }
+        const jobTarget = this.addJobTarget(jobId, { targetHost: targetHost, targetPort: targetPort }, policyName);
+        if (state == ROLLINGBACK) {
+            jobTarget.rollingBack = true;
+        }
+        if (jobTarget.state == CANCELLED) {
+            // keep a record of cleanup after cancelling, such as a rollback
+            jobTarget.transitions.push({
+                state: state,
+                timestamp: new Date().toISOString()
+            });
+            this.saveJob(job);
+            return false;
+        }
+        if (jobTarget.state == ROLLINGBACK && state == FINISHED) {
+            // the snapshot import completing is not the end of a rollback
+            return true;
+        }
+        jobTarget.state = state;
+        if (errMessage) {
+            jobTarget.errMessage = errMessage;
+        }
+        jobTarget.transitions.push({
+            state: state,
+            timestamp: new Date().toISOString()
+        });
+        this.saveJob(job);
+        return true;
+    }
+
+    updateJobTargetPolicyId(targetHost, targetPort, policyName, policyId) {
+        const inFlightIndex = `${targetHost}:${targetPort}:${policyName}`;
+        if (jobTargets.hasOwnProperty(inFlightIndex) && jobs[jobTargets[inFlightIndex]]) {
+            const job = jobs[jobTargets[inFlightIndex]];
+            const jobTarget = this.addJobTarget(job.id, { targetHost: targetHost, targetPort: targetPort }, policyName);
+            jobTarget.policyId = policyId;
+            this.saveJob(job);
+        }
+    }
+
+    /**
+     * Record the snapshot of the existing policy taken before it was replaced
+     * on a job target, so it can be restored while it is in the policy cache
+     */
+    updateJobTargetSnapshot(targetHost, targetPort, policyName, snapshot) {
+        const inFlightIndex = `${targetHost}:${targetPort}:${policyName}`;
+        if (jobTargets.hasOwnProperty(inFlightIndex) && jobs[jobTargets[inFlightIndex]]) {
+            const job = jobs[jobTargets[inFlightIndex]];
+            const jobTarget = this.addJobTarget(job.id, { targetHost: targetHost, targetPort: targetPort }, policyName);
+            jobTarget.snapshot = snapshot;
+            this.saveJob(job);
+        }
+    }
+
+    /**
+     * Record the virtual servers and LTM policies a job target policy was attached to
+     */
+    updateJobTargetAttached(targetHost, targetPort, policyName, references) {
+        const inFlightIndex = `${targetHost}:${targetPort}:${policyName}`;
+        if (jobTargets.hasOwnProperty(inFlightIndex) && jobs[jobTargets[inFlightIndex]]) {
+            const job = jobs[jobTargets[inFlightIndex]];
+            const jobTarget = this.addJobTarget(job.id, { targetHost: targetHost, targetPort: targetPort }, policyName);
+            jobTarget.attached = {
+                virtualServers: references.virtualServers,
+                ltmPolicies: references.ltmPolicies.map((ltmPolicy) => {
+                    return ltmPolicy.name;
+                })
+            };
+            this.saveJob(job);
+        }
+    }
+
+    /**
+     * Record the edits the request transforms made to the policy on its job targets
+     */
+    updateJobTransforms(jobId, policyName, results) {
+        const job = jobs[jobId];
+        if (job) {
+            job.targets.forEach((jobTarget) => {
+                if (jobTarget.policyName == policyName) {
+                    jobTarget.transforms = results;
+                }
+            });
+            this.saveJob(job);
+        }
+    }
+
+    updateJobSource(jobId, sourceHost, sourcePort, policyId) {
+        const job = jobs[jobId];
+        if (job) {
+            const source = {
+                targetHost: sourceHost,
+                targetPort: sourcePort,
+                policyId: policyId
+            };
+            if (job.request.batch) {
+                // a batch job records the source of each transfer, transfers of the same source policy share its export
+                job.sources = (job.sources || []).filter((jobSource) => {
+                    return !(jobSource.targetHost == sourceHost && jobSource.targetPort == sourcePort && jobSource.policyId == policyId);
+                }).concat([source]);
+            } else {
+                job.source = source;
+            }
+            this.saveJob(job);
+        }
+    }
+
+    /**
+     * Record an ASM task or policy file upload started for a job target so
+     * it can be removed if the job target is cancelled.
+     * @param {String} targetHost target device host
+     * @param {Number} targetPort target device port
+     * @param {String} policyName policy name on the target device
+     * @param {String} work 'asmTasks' or 'uploads'
+     * @param {Object} item task or upload details
+     */
+    addJobTargetWork(targetHost, targetPort, policyName, work, item) {
+        const inFlightIndex = `${targetHost}:${targetPort}:${policyName}`;
+        if (jobTargets.hasOwnProperty(inFlightIndex) && jobs[jobTargets[inFlightIndex]]) {
+            const job = jobs[jobTargets[inFlightIndex]];
+            const jobTarget = this.addJobTarget(job.id, { targetHost: targetHost, targetPort: targetPort }, policyName);
+            if (!jobTarget[work]) {
+                jobTarget[work] = [];
+            }
+            jobTarget[work].push(item);
+            this.saveJob(job);
+        }
+    }
+
+    /**
+     * Throw a cancellation error if the job target has been cancelled. Used
+     * between processing stages. Rollbacks are never cancelled.
+     */
+    checkCancelled(targetHost, targetPort, policyName) {
+        const inFlightIndex = `${targetHost}:${targetPort}:${policyName}`;
+        if (jobTargets.hasOwnProperty(inFlightIndex) && jobs[jobTargets[inFlightIndex]]) {
+            const jobTarget = this.getJobTarget(jobs[jobTargets[inFlightIndex]], targetHost, targetPort, policyName);
+            if (jobTarget && jobTarget.state == CANCELLED && !jobTarget.rollingBack) {
+                const err = new Error('processing policy ' + policyName + ' on ' + targetHost + ':' + targetPort + ' was cancelled');
+                err.cancelled = true;
+                throw err;
+            }
+        }
+    }
+
+    /**
+     * Cancel processing for job targets. Stops further processing stages,
+     * removes the ASM tasks and partially uploaded files on the target devices.
+     * @param {String} jobId job ID
+     * @param {String} targetDevice optional target host or UUID to cancel, defaults to all targets
+     * @returns Promise resolving to the job
+     */
+    cancelJob(jobId, targetDevice) {
+        return new Promise((resolve, reject) => {
+            const job = jobs[jobId];
+            if (!job) {
+                const err = new Error('task ' + jobId + ' is not processing');
+                err.httpStatusCode = this.getJob(jobId) ? 409 : 404;
+                reject(err);
+                return;
+            }
+            const cancelTargets = job.targets.filter((jobTarget) => {
+                if (targetDevice && jobTarget.targetHost != targetDevice && jobTarget.targetUUID != targetDevice) {
+                    return false;
+                }
+                return !JOBTERMINALSTATES.includes(jobTarget.state) && jobTarget.state != ROLLINGBACK;
+            });
+            if (cancelTargets.length === 0) {
+                const err = new Error('task ' + jobId + ' has no targets which can be cancelled');
+                err.httpStatusCode = 409;
+                reject(err);
+                return;
+            }
+            const cleanupPromises = [];
+            cancelTargets.forEach((jobTarget) => {
+                this.logger.info(LOGGINGPREFIX + 'cancelling job ' + jobId + ' for policy ' + jobTarget.policyName + ' on ' + jobTarget.targetHost + ':' + jobTarget.targetPort + ' in state ' + jobTarget.state);
+                this.updateJobTarget(jobId, jobTarget.targetHost, jobTarget.targetPort, jobTarget.policyName, CANCELLED, 'cancelled in state ' + jobTarget.state);
+                delete requestedTasks[`${jobTarget.targetHost}:${jobTarget.targetPort}:${jobTarget.policyName}`];
+                (jobTarget.asmTasks || []).forEach((task) => {
+                    cleanupPromises.push(this.removeTaskOnBigIP(jobTarget.targetHost, jobTarget.targetPort, task.taskId, task.type));
+                });
+                (jobTarget.uploads || []).forEach((upload) => {
+                    if (inFlightUploads.hasOwnProperty(upload.uploadIndex)) {
+                        // the upload removes its partial file when it sees the cancellation
+                        inFlightUploads[upload.uploadIndex].cancelled = true;
+                    } else {
+                        cleanupPromises.push(this.removeUploadedFileOnBigIP(jobTarget.targetHost, jobTarget.targetPort, upload.policyFile));
+                    }
+                });
+            });
+            if (this.resolveJobState(job) != RUNNING) {
+                (job.source ? [job.source] : job.sources || []).forEach((source) => {
+                    // only remove the source export if no other request is waiting for it
+                    const inFlightExportIndex = `${source.targetHost}:${source.targetPort}:${source.policyId}`;
+                    const inFlightExport = inFlightExports[inFlightExportIndex];
+                    if (inFlightExport && inFlightExport.taskId && inFlightExport.notify.listenerCount('downloaded') === 0) {
+                        cleanupPromises.push(this.removeTaskOnBigIP(source.targetHost, source.targetPort, inFlightExport.taskId, 'export'));
+                    }
+                });
+            }
+            this.saveJob(job);
+            Promise.all(cleanupPromises)
+                .then(() => {
+                    resolve(job);
+                });
+        });
+    }
+
+    /**
+     * Fail every job target for a policy which has not finished processing
+     * @param {String} jobId job ID
+     * @param {String} errMessage reason for the failure
+     * @param {String} policyName policy name on the target devices
+     * @param {Number} transferIndex optional transfer of a batch job, other transfers can import the same policy name
+     */
+    failJob(jobId, errMessage, policyName, transferIndex) {
+        const job = jobs[jobId];
+        if (!job) {
+            return;
+        }
+        job.errMessage = errMessage;
+        job.targets.forEach((jobTarget) => {
+            if (transferIndex !== undefined && jobTarget.transfer !== transferIndex) {
+                return;
+            }
+            if (jobTarget.policyName == policyName && !JOBTERMINALSTATES.includes(jobTarget.state)) {
+                this.updateInflightState(jobTarget.targetHost, jobTarget.targetPort, jobTarget.policyName, ERROR, errMessage);
+            }
+        });
+        this.saveJob(job);
+    }
+
+    resolveJobState(job) {
+        if (job.targets.length === 0) {
+            return job.errMessage ? ERROR : REQUESTED;
+        }
+        let requested = true;
+        let running = false;
+        let failed = !!job.errMessage;
+        let cancelled = false;
+        job.targets.forEach((jobTarget) => {
+            if (jobTarget.state != REQUESTED) {
+                requested = false;
+            }
+            if (!JOBTERMINALSTATES.includes(jobTarget.state)) {
+                running = true;
+            }
+            if (jobTarget.state == ERROR || jobTarget.state == ROLLEDBACK || jobTarget.state == HALTED) {
+                failed = true;
+            }
+            if (jobTarget.state == CANCELLED) {
+                cancelled = true;
+            }
+        });
+        if (requested) {
+            return REQUESTED;
+        } else if (running) {
+            return RUNNING;
+        } else if (failed) {
+            return ERROR;
+        } else if (cancelled) {
+            return CANCELLED;
+        }
+        return FINISHED;
+    }
+
+    resolveJobFileName(jobId) {
+        return settings.jobsDirectory + '/' + path.basename(jobId) + '.json';
+    }
+
+    saveJob(job) {
+        job.state = this.resolveJobState(job);
+        job.lastUpdated = new Date().toISOString();
+        try {
+            makeDirectory(settings.jobsDirectory);
+            fs.writeFileSync(this.resolveJobFileName(job.id), JSON.stringify(job));
+        } catch (err) {
+            this.logger.severe(LOGGINGPREFIX + 'could not persist job ' + job.id + ' - ' + err.message);
+        }
+    }
+
+    getJob(jobId) {
+        if (jobs.hasOwnProperty(jobId)) {
+            return jobs[jobId];
+        }
+        const jobFile = this.resolveJobFileName(jobId);
+        if (fs.existsSync(jobFile)) {
+            try {
+                return JSON.parse(fs.readFileSync(jobFile, 'utf8'));
+            } catch (err) {
+                this.logger.severe(LOGGINGPREFIX + 'could not read job file ' + jobFile + ' - ' + err.message);
+            }
+        }
+        return null;
+    }
+
+    getJobs() {
+        const returnJobs = {};
+        if (fs.existsSync(settings.jobsDirectory)) {
+            fs.readdirSync(settings.jobsDirectory).forEach((file) => {
+                if (file.endsWith('.json')) {
+                    const job = this.getJob(path.basename(file, '.json'));
+                    if (job) {
+                        returnJobs[job.id] = job;
+                    }
+                }
+            });
+        }
+        Object.keys(jobs).forEach((jobId) => {
+            returnJobs[jobId] = jobs[jobId];
+        });
+        return Object.keys(returnJobs).map((jobId) => {
+            return returnJobs[jobId];
+        }).sort((a, b) => {
+            return a.created < b.created ? -1 : 1;
+        });
+    }
+
+    /**
+     * Jobs which were processing when restnoded stopped will never finish,
+     * mark their remaining targets as failed.
+     */
+    recoverInterruptedJobs() {
+        this.getJobs().forEach((job) => {
+            if (job.state == REQUESTED || job.state == RUNNING) {
+                job.targets.forEach((jobTarget) => {
+                    if (!JOBTERMINALSTATES.includes(jobTarget.state)) {
+                        jobTarget.state = ERROR;
+                        jobTarget.errMessage = 'processing was interrupted by a restart';
+                        jobTarget.transitions.push({
+                            state: ERROR,
+                            timestamp: new Date().toISOString()
+                        });
+                    }
+                });
+                if (job.targets.length === 0) {
+                    job.errMessage = 'processing was interrupted by a restart';
+                }
+                this.logger.info(LOGGINGPREFIX + 'job ' + job.id + ' was interrupted by a restart');
+                this.saveJob(job);
+            }
+        });
+    }
+
+    clearExpiredJobs() {
+        const expireTime = new Date().getTime() - (settings.jobRetentionHours * 3600e3);
+        this.getJobs().forEach((job) => {
+            if (job.state != REQUESTED && job.state != RUNNING && new Date(job.lastUpdated).getTime() < expireTime) {
+                delete jobs[job.id];
+                Object.keys(jobTargets).forEach((inFlightIndex) => {
+                    if (jobTargets[inFlightIndex] == job.id) {
+                        delete jobTargets[inFlightIndex];
+                    }
+                });
+                try {
+                    fs.unlinkSync(this.resolveJobFileName(job.id));
+                    this.logger.info(LOGGINGPREFIX + 'removed expired job ' + job.id);
+                } catch (err) {
+                    this.logger.severe(LOGGINGPREFIX + 'could not remove expired job ' + job.id + ' - ' + err.message);
+                }
+            }
+        });
+    }
+
+    resolveBackupFileName(backupId) {
+        return settings.backupsDirectory + '/' + path.basename(backupId) + '.json';
+    }
+
+    // backed up policy files are stored once by content hash
+    resolveBackupPolicyFileName(sha256) {
+        return settings.backupsDirectory + '/policies/' + path.basename(sha256) + '.xml';
+    }
+
+    /**
+     * Read the policy file of a backup entry, which can be missing after manual
+     * cleanup or a backup which did not finish
+     * @param {String} backupId backup ID
+     * @param {Object} entry backup manifest policy entry
+     * @returns {Buffer} the backed up policy file
+     */
+    readBackupPolicyFile(backupId, entry) {
+        const backupPolicyFile = this.resolveBackupPolicyFileName(entry.sha256);
+        const description = 'backed up policy file ' + path.basename(backupPolicyFile) + ' of policy ' + entry.policyName + ' in backup ' + backupId;
+        if (!fs.existsSync(backupPolicyFile)) {
+            const err = new Error(description + ' was not found');
+            err.httpStatusCode = 404;
+            throw err;
+        }
+        try {
+            return fs.readFileSync(backupPolicyFile);
+        } catch (err) {
+            const readErr = new Error(description + ' could not be read - ' + err.message);
+            readErr.httpStatusCode = 500;
+            throw readErr;
+        }
+    }
+
+    saveBackup(backup) {
+        try {
+            makeDirectory(settings.backupsDirectory);
+            fs.writeFileSync(this.resolveBackupFileName(backup.id), JSON.stringify(backup));
+        } catch (err) {
+            this.logger.severe(LOGGINGPREFIX + 'could not persist backup ' + backup.id + ' - ' + err.message);
+        }
+    }
+
+    getBackup(backupId) {
+        if (runningBackup && runningBackup.id == backupId) {
+            return runningBackup;
+        }
+        const backupFile = this.resolveBackupFileName(backupId);
+        if (fs.existsSync(backupFile)) {
+            try {
+                return JSON.parse(fs.readFileSync(backupFile, 'utf8'));
+            } catch (err) {
+                this.logger.severe(LOGGINGPREFIX + 'could not read backup file ' + backupFile + ' - ' + err.message);
+            }
+        }
+        return null;
+    }
+
+    getBackups() {
+        const backups = [];
+        if (fs.existsSync(settings.backupsDirectory)) {
+            fs.readdirSync(settings.backupsDirectory).forEach((file) => {
+                if (file.endsWith('.json')) {
+                    const backup = this.getBackup(path.basename(file, '.json'));
+                    if (backup) {
+                        backups.push(backup);
+                    }
+                }
+            });
+        }
+        return backups.sort((a, b) => {
+            return a.created < b.created ? -1 : 1;
+        });
+    }
+
+    getBackupSummary(backup) {
+        return {
+            id: backup.id,
+            trigger: backup.trigger,
+            state: backup.state,
+            created: backup.created,
+            completed: backup.completed,
+            policies: backup.policies.length,
+            changed: backup.policies.filter((entry) => {
+                return entry.changed;
+            }).length,
+            errors: backup.errors.length
+        };
+    }
+
+    /**
+     * Find a policy in a backup manifest
+     * @param {Object} backup backup manifest
+     * @param {String} sourceDevice optional host or UUID of the device the policy was backed up from
+     * @param {String} policyId policy ID
+     * @param {String} policyName policy name
+     * @param {String} version optional lastChanged version of the policy
+     * @param {String} before optional time the policy was last changed at or before
+     * @returns {Object} the backup manifest entry or null
+     */
+    findBackupEntry(backup, sourceDevice, policyId, policyName, version, before) {
+        let found = null;
+        backup.policies.forEach((entry) => {
+            if (!found &&
+                (!sourceDevice || entry.sourceHost == sourceDevice || entry.sourceUUID == sourceDevice) &&
+                ((policyId && entry.policyId == policyId) || (policyName && entry.policyName == policyName)) &&
+                (!version || entry.lastChanged == version) &&
+                (!before || new Date(entry.lastChanged).getTime() <= new Date(before).getTime())) {
+                found = entry;
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Find the backup entry or task snapshot to restore
+     * @param {String} sourceDevice host or UUID of the device the policy was backed up or snapshot from
+     * @param {String} policyId policy ID
+     * @param {String} policyName policy name
+     * @param {Object} restoreOptions backupId, backupVersion, backupBefore, snapshotTaskId or recycleBinId
+     * @returns {Object} the restore source description and the policy XML
+     */
+    resolveRestoreSource(sourceDevice, policyId, policyName, restoreOptions) {
+        const restoreError = (message, httpStatusCode) => {
+            const err = new Error(message);
+            err.httpStatusCode = httpStatusCode;
+            return err;
+        };
+        if (restoreOptions.recycleBinId) {
+            const entry = this.getRecycleBinEntry(restoreOptions.recycleBinId);
+            if (!entry) {
+                throw restoreError('recycle bin entry ' + restoreOptions.recycleBinId + ' was not found', 404);
+            }
+            const recycledContent = fs.readFileSync(this.resolveRecycleBinPolicyFileName(entry.id));
+            if (sha256Hex(recycledContent) != entry.sha256) {
+                throw restoreError('recycle bin policy file ' + entry.id + ' does not match its hash', 500);
+            }
+            return {
+                restore: {
+                    snapshotTaskId: null,
+                    backupId: null,
+                    recycleBinId: entry.id,
+                    sourceHost: entry.targetHost,
+                    sourcePort: entry.targetPort,
+                    sourceUUID: entry.targetUUID,
+                    policyId: entry.policyId,
+                    policyName: entry.policyName,
+                    lastChanged: entry.lastChanged
+                },
+                policyXml: recycledContent.toString()
+            };
+        }
+        if (restoreOptions.snapshotTaskId) {
+            const job = this.getJob(restoreOptions.snapshotTaskId);
+            if (!job) {
+                throw restoreError('task ' + restoreOptions.snapshotTaskId + ' was not found', 404);
+            }
+            const snapshotTargets = job.targets.filter((jobTarget) => {
+                return jobTarget.snapshot && (!sourceDevice || jobTarget.targetHost == sourceDevice || jobTarget.targetUUID == sourceDevice);
+            });
+            if (snapshotTargets.length === 0) {
+                throw restoreError('task ' + job.id + ' has no snapshot' + (sourceDevice ? ' for ' + sourceDevice : ''), 404);
+            } else if (snapshotTargets.length > 1) {
+                throw restoreError('task ' + job.id + ' has snapshots on several target devices, supply a sourceHost or sourceUUID', 400);
+            }
+            const snapshotTarget = snapshotTargets[0];
+            const snapshotFile = `${downloadDirectory}/${snapshotTarget.snapshot.policyFile}`;
+            if (!fs.existsSync(snapshotFile)) {
+                throw restoreError('snapshot of policy ' + snapshotTarget.policyName + ' from task ' + job.id + ' is no longer in the policy cache', 404);
+            }
+            return {
+                restore: {
+                    snapshotTaskId: job.id,
+                    backupId: null,
+                    recycleBinId: null,
+                    sourceHost: snapshotTarget.targetHost,
+                    sourcePort: snapshotTarget.targetPort,
+                    sourceUUID: snapshotTarget.targetUUID,
+                    policyId: snapshotTarget.snapshot.policyId,
+                    policyName: snapshotTarget.policyName,
+                    lastChanged: snapshotTarget.snapshot.lastChanged
+                },
+                policyXml: fs.readFileSync(snapshotFile, 'utf8')
+            };
+        }
+        if (!(policyId || policyName)) {
+            throw restoreError('restoring from a backup requires a policyName or policyId', 400);
+        }
+        if (restoreOptions.backupBefore && isNaN(new Date(restoreOptions.backupBefore).getTime())) {
+            throw restoreError('backupBefore must be a date and time', 400);
+        }
+        let backups = this.getBackups().reverse();
+        if (restoreOptions.backupId) {
+            const backup = this.getBackup(restoreOptions.backupId);
+            if (!backup) {
+                throw restoreError('backup ' + restoreOptions.backupId + ' was not found', 404);
+            }
+            backups = [backup];
+        }
+        let restoreBackup = null;
+        let restoreEntry = null;
+        backups.forEach((backup) => {
+            if (!restoreEntry) {
+                restoreEntry = this.findBackupEntry(backup, sourceDevice, policyId, policyName, restoreOptions.backupVersion, restoreOptions.backupBefore);
+                restoreBackup = backup;
+            }
+        });
+        if (!restoreEntry) {
+            throw restoreError('no backup of policy ' + (policyName || policyId) + (sourceDevice ? ' from ' + sourceDevice : '') + ' matches the request', 404);
+        }
+        const policyContent = this.readBackupPolicyFile(restoreBackup.id, restoreEntry);
+        if (sha256Hex(policyContent) != restoreEntry.sha256) {
+            throw restoreError('backed up policy file ' + restoreEntry.sha256 + ' does not match its hash', 500);
+        }
+        return {
+            restore: {
+                snapshotTaskId: null,
+                backupId: restoreBackup.id,
+                recycleBinId: null,
+                sourceHost: restoreEntry.sourceHost,
+                sourcePort: restoreEntry.sourcePort,
+                sourceUUID: restoreEntry.sourceUUID,
+                policyId: restoreEntry.policyId,
+                policyName: restoreEntry.policyName,
+                lastChanged: restoreEntry.lastChanged
+            },
+            policyXml: policyContent.toString()
+        };
+    }
+
+    getBackupSchedule() {
+        const backups = this.getBackups();
+        return {
+            intervalHours: settings.backupIntervalHours,
+            retentionDays: settings.backupRetentionDays,
+            running: runningBackup ? runningBackup.id : null,
+            lastRun: backups.length > 0 ? backups[backups.length - 1].created : null,
+            nextRun: settings.backupIntervalHours > 0 ? new Date(this.getNextBackupTime(backups)).toISOString() : null
+        };
+    }
+
+    getNextBackupTime(backups) {
+        if (backups.length === 0) {
+            return new Date().getTime();
+        }
+        return new Date(backups[backups.length - 1].created).getTime() + (settings.backupIntervalHours * 3600e3);
+    }
+
+    /**
+     * Set the timer for the next scheduled backup from the last backup and
+     * the backupIntervalHours setting
+     */
+    scheduleBackups() {
+        if (backupTimer) {
+            clearTimeout(backupTimer);
+            backupTimer = null;
+        }
+        if (!(settings.backupIntervalHours > 0)) {
+            return;
+        }
+        const nextRun = this.getNextBackupTime(this.getBackups());
+        const delay = Math.min(Math.max(nextRun - new Date().getTime(), 0), MAXTIMERDELAY);
+        this.logger.info(LOGGINGPREFIX + 'next scheduled backup at ' + new Date(nextRun).toISOString());
+        backupTimer = setTimeout(() => {
+            backupTimer = null;
+            if (new Date().getTime() >= nextRun && !runningBackup) {
+                this.startBackup(BACKUPSCHEDULED);
+            }
+            this.scheduleBackups();
+        }, delay);
+    }
+
+    /**
+     * Create a backup manifest and start exporting every policy which changed
+     * since the last backup from every trusted device
+     * @param {String} trigger BACKUPSCHEDULED or BACKUPREQUESTED
+     * @returns {Object} the running backup manifest
+     */
+    startBackup(trigger) {
+        if (runningBackup) {
+            const err = new Error('backup ' + runningBackup.id + ' is already running');
+            err.httpStatusCode = 409;
+            throw err;
+        }
+        // the latest backup entry of each policy on each device
+        const previousEntries = {};
+        this.getBackups().forEach((previousBackup) => {
+            previousBackup.policies.forEach((entry) => {
+                previousEntries[`${entry.sourceUUID || entry.sourceHost}:${entry.policyId}`] = entry;
+            });
+        });
+        const backup = {
+            id: generateId(),
+            trigger: trigger,
+            state: RUNNING,
+            created: new Date().toISOString(),
+            completed: null,
+            errMessage: null,
+            policies: [],
+            errors: []
+        };
+        runningBackup = backup;
+        this.saveBackup(backup);
+        this.logger.info(LOGGINGPREFIX + 'starting ' + trigger + ' backup ' + backup.id);
+        this.getPolicyInventory(null, null, true)
+            .then((inventory) => {
+                // one policy export at a time to limit the load on devices
+                let backupChain = Promise.resolve();
+                inventory.forEach((device) => {
+                    if (device.error) {
+                        backup.errors.push({
+                            sourceHost: device.targetHost,
+                            sourcePort: device.targetPort,
+                            policyName: null,
+                            errMessage: device.error
+                        });
+                        return;
+                    }
+                    device.policies.forEach((policy) => {
+                        backupChain = backupChain.then(() => {
+                            return this.backupPolicy(backup, device, policy, previousEntries[`${device.targetUUID || device.targetHost}:${policy.id}`])
+                                .catch((err) => {
+                                    this.logger.severe(LOGGINGPREFIX + 'could not back up policy ' + policy.name + ' on ' + device.targetHost + ':' + device.targetPort + ' - ' + err.message);
+                                    backup.errors.push({
+                                        sourceHost: device.targetHost,
+                                        sourcePort: device.targetPort,
+                                        policyName: policy.name,
+                                        errMessage: err.message
+                                    });
+                                });
+                        });
+                    });
+                });
+                return backupChain;
+            })
+            .then(() => {
+                backup.state = FINISHED;
+            })
+            .catch((err) => {
+                this.logger.severe(LOGGINGPREFIX + 'backup ' + backup.id + ' failed - ' + err.message);
+                backup.state = ERROR;
+                backup.errMessage = err.message;
+            })
+            .then(() => {
+                backup.completed = new Date().toISOString();
+                runningBackup = null;
+                this.saveBackup(backup);
+                this.logger.info(LOGGINGPREFIX + 'backup ' + backup.id + ' ' + backup.state + ' with ' + backup.policies.length + ' policies and ' + backup.errors.length + ' errors');
+                this.clearExpiredBackups();
+            });
+        return backup;
+    }
+
+    /**
+     * Add a policy to a backup, exporting it unless it is unchanged since its
+     * previous backup entry
+     * @returns Promise resolving to the backup manifest entry
+     */
+    backupPolicy(backup, device, policy, previousEntry) {
+        const entry = {
+            sourceHost: device.targetHost,
+            sourcePort: device.targetPort,
+            sourceUUID: device.targetUUID || null,
+            sourceHostname: device.targetHostname || null,
+            sourceVersion: device.targetVersion || null,
+            policyId: policy.id,
+            policyName: policy.name,
+            path: policy.path,
+            lastChanged: policy.lastChanged,
+            sha256: null,
+            size: null,
+            changed: true
+        };
+        if (previousEntry && previousEntry.lastChanged == policy.lastChanged && fs.existsSync(this.resolveBackupPolicyFileName(previousEntry.sha256))) {
+            entry.sha256 = previousEntry.sha256;
+            entry.size = previousEntry.size;
+            entry.changed = false;
+            backup.policies.push(entry);
+            return Promise.resolve(entry);
+        }
+        const timestamp = new Date(policy.lastChanged).getTime();
+        return this.exportPolicyFromBigIP(device.targetHost, device.targetPort, policy.id, timestamp)
+            .then(() => {
+                const policyContent = fs.readFileSync(`${downloadDirectory}/${this.resolvePolicyFileName(policy.id, timestamp)}`);
+                entry.sha256 = sha256Hex(policyContent);
+                entry.size = policyContent.length;
+                const backupPolicyFile = this.resolveBackupPolicyFileName(entry.sha256);
+                if (!fs.existsSync(backupPolicyFile)) {
+                    makeDirectory(path.dirname(backupPolicyFile));
+                    fs.writeFileSync(backupPolicyFile, policyContent);
+                }
+                backup.policies.push(entry);
+                this.saveBackup(backup);
+                return entry;
+            });
+    }
+
+    /**
+     * Backups which were running when restnoded stopped will never finish
+     */
+    recoverInterruptedBackups() {
+        this.getBackups().forEach((backup) => {
+            if (backup.state == RUNNING) {
+                backup.state = ERROR;
+                backup.errMessage = 'backup was interrupted by a restart';
+                backup.completed = new Date().toISOString();
+                this.logger.info(LOGGINGPREFIX + 'backup ' + backup.id + ' was interrupted by a restart');
+                this.saveBackup(backup);
+            }
+        });
+    }
+
+    /**
+     * Remove backups older than backupRetentionDays, always keeping the latest
+     * finished backup, and the policy files no remaining backup references
+     */
+    clearExpiredBackups() {
+        if (!(settings.backupRetentionDays > 0)) {
+            return;
+        }
+        const expireTime = new Date().getTime() - (settings.backupRetentionDays * 86400e3);
+        const backups = this.getBackups();
+        const finishedBackups = backups.filter((backup) => {
+            return backup.state == FINISHED;
+        });
+        const latestBackup = finishedBackups.length > 0 ? finishedBackups[finishedBackups.length - 1] : null;
+        const referencedFiles = {};
+        backups.forEach((backup) => {
+            if (backup.state == RUNNING || backup === latestBackup || new Date(backup.created).getTime() >= expireTime) {
+                backup.policies.forEach((entry) => {
+                    referencedFiles[entry.sha256 + '.xml'] = true;
+                });
+            } else {
+                try {
+                    fs.unlinkSync(this.resolveBackupFileName(backup.id));
+                    this.logger.info(LOGGINGPREFIX + 'removed expired backup ' + backup.id);
+                } catch (err) {
+                    this.logger.severe(LOGGINGPREFIX + 'could not remove expired backup ' + backup.id + ' - ' + err.message);
+                }
+            }
+        });
+        if (runningBackup) {
+            // policies the running backup is about to reference are not in its manifest yet
+            return;
+        }
+        const policiesDirectory = settings.backupsDirectory + '/policies';
+        if (fs.existsSync(policiesDirectory)) {
+            fs.readdirSync(policiesDirectory).forEach((file) => {
+                if (!referencedFiles[file]) {
+                    try {
+                        fs.unlinkSync(policiesDirectory + '/' + file);
+                    } catch (err) {
+                        this.logger.severe(LOGGINGPREFIX + 'could not remove backed up policy file ' + file + ' - ' + err.message);
+                    }
+                }
+            });
+        }
+    }
+
+    resolveRecycleBinFileName(entryId) {
+        return settings.recycleBinDirectory + '/' + path.basename(entryId) + '.json';
+    }
+
+    resolveRecycleBinPolicyFileName(entryId) {
+        return settings.recycleBinDirectory + '/policies/' + path.basename(entryId) + '.xml';
+    }
+
+    getRecycleBinEntry(entryId) {
+        const entryFile = this.resolveRecycleBinFileName(entryId);
+        if (fs.existsSync(entryFile)) {
+            try {
+                return JSON.parse(fs.readFileSync(entryFile, 'utf8'));
+            } catch (err) {
+                this.logger.severe(LOGGINGPREFIX + 'could not read recycle bin entry file ' + entryFile + ' - ' + err.message);
+            }
+        }
+        return null;
+    }
+
+    getRecycleBinEntries() {
+        const entries = [];
+        if (fs.existsSync(settings.recycleBinDirectory)) {
+            fs.readdirSync(settings.recycleBinDirectory).forEach((file) => {
+                if (file.endsWith('.json')) {
+                    const entry = this.getRecycleBinEntry(path.basename(file, '.json'));
+                    if (entry) {
+                        entries.push(entry);
+                    }
+                }
+            });
+        }
+        return entries.sort((a, b) => {
+            return a.deleted < b.deleted ? -1 : 1;
+        });
+    }
+
+    /**
+     * Keep a policy file from the policy cache in the recycle bin before the
+     * policy is deleted from its device
+     * @param {Object} device targetHost, targetPort and targetUUID of the device
+     * @param {Object} policy id, name, path and lastChanged of the policy
+     * @param {String} policyFile policy cache file name of the exported policy
+     * @param {String} reason RECYCLEDELETED or RECYCLEREPLACED
+     * @param {String} jobId ID of the task which replaced the policy or null
+     * @returns {Object} the recycle bin entry
+     */
+    recyclePolicyFile(device, policy, policyFile, reason, jobId) {
+        const policyContent = fs.readFileSync(`${downloadDirectory}/${policyFile}`);
+        const entry = {
+            id: generateId(),
+            targetHost: device.targetHost,
+            targetPort: device.targetPort,
+            targetUUID: device.targetUUID || null,
+            policyId: policy.id,
+            policyName: policy.name,
+            path: policy.path || null,
+            lastChanged: policy.lastChanged,
+            deleted: new Date().toISOString(),
+            reason: reason,
+            jobId: jobId || null,
+            sha256: sha256Hex(policyContent),
+            size: policyContent.length
+        };
+        const recycledPolicyFile = this.resolveRecycleBinPolicyFileName(entry.id);
+        makeDirectory(path.dirname(recycledPolicyFile));
+        fs.writeFileSync(recycledPolicyFile, policyContent);
+        fs.writeFileSync(this.resolveRecycleBinFileName(entry.id), JSON.stringify(entry));
+        this.logger.info(LOGGINGPREFIX + 'policy ' + policy.name + ' on ' + device.targetHost + ':' + device.targetPort + ' saved in the recycle bin as ' + entry.id);
+        return entry;
+    }
+
+    /**
+     * Export a policy from its device into the recycle bin. The policy must
+     * not be deleted when this rejects.
+     * @returns Promise resolving to the recycle bin entry
+     */
+    recyclePolicyOnBigIP(device, policy, reason, jobId) {
+        const timestamp = new Date(policy.lastChanged).getTime();
+        return this.exportPolicyFromBigIP(device.targetHost, device.targetPort, policy.id, timestamp)
+            .then(() => {
+                return this.recyclePolicyFile(device, policy, this.resolvePolicyFileName(policy.id, timestamp), reason, jobId);
+            })
+            .catch((err) => {
+                throw new Error('could not save policy ' + policy.name + ' in the recycle bin before deleting it - ' + err.message);
+            });
+    }
+
+    /**
+     * @returns {Boolean} true if the recycle bin entry and its policy file were removed
+     */
+    removeRecycleBinEntry(entry) {
+        try {
+            if (fs.existsSync(this.resolveRecycleBinPolicyFileName(entry.id))) {
+                fs.unlinkSync(this.resolveRecycleBinPolicyFileName(entry.id));
+            }
+            fs.unlinkSync(this.resolveRecycleBinFileName(entry.id));
+            this.logger.info(LOGGINGPREFIX + 'removed recycle bin entry ' + entry.id + ' for policy ' + entry.policyName + ' from ' + entry.targetHost + ':' + entry.targetPort);
+            return true;
+        } catch (err) {
+            this.logger.severe(LOGGINGPREFIX + 'could not remove recycle bin entry ' + entry.id + ' - ' + err.message);
+            return false;
+        }
+    }
+
+    clearExpiredRecycleBinEntries() {
+        if (!(settings.recycleBinRetentionDays > 0)) {
+            return;
+        }
+        const expireTime = new Date().getTime() - (settings.recycleBinRetentionDays * 86400e3);
+        this.getRecycleBinEntries().forEach((entry) => {
+            if (new Date(entry.deleted).getTime() < expireTime) {
+                this.removeRecycleBinEntry(entry);
+            }
+        });
+    }
+
+    loadSettings() {
+        if (fs.existsSync(settingsFile)) {
+            try {
+                settings = Object.assign({}, DEFAULTSETTINGS, JSON.parse(fs.readFileSync(settingsFile, 'utf8')));
+            } catch (err) {
+                this.logger.severe(LOGGINGPREFIX + 'could not read settings file ' + settingsFile + ' - ' + err.message);
+            }
+        }
+    }
+
+    /**
+     * Merge and persist settings. Unknown setting names are rejected.
+     * @param {Object} newSettings settings to update
+     */
+    saveSettings(newSettings) {
+        Object.keys(newSettings).forEach((setting) => {
+            if (!DEFAULTSETTINGS.hasOwnProperty(setting)) {
+                const err = new Error('unknown setting ' + setting + '. valid settings are ' + JSON.stringify(Object.keys(DEFAULTSETTINGS)));
+                err.httpStatusCode = 400;
+                throw err;
+            }
+            if (typeof newSettings[setting] != typeof DEFAULTSETTINGS[setting] || Array.isArray(newSettings[setting]) || newSettings[setting] === null) {
+                const err = new Error('setting ' + setting + ' must be a ' + typeof DEFAULTSETTINGS[setting]);
+                err.httpStatusCode = 400;
+                throw err;
+            }
+            if (DOWNLOADLIMITSETTINGS.includes(setting) && !(Number.isInteger(newSettings[setting]) && newSettings[setting] >= 0)) {
+                const err = new Error('setting ' + setting + ' must be a non-negative integer');
+                err.httpStatusCode = 400;
+                throw err;
+            }
+            if ((BACKUPSCHEDULESETTINGS.includes(setting) || RECYCLEBINSETTINGS.includes(setting)) && !(isFinite(newSettings[setting]) && newSettings[setting] >= 0)) {
+                const err = new Error('setting ' + setting + ' must be a non-negative number');
+                err.httpStatusCode = 400;
+                throw err;
+            }
+        });
+        newSettings = this.restoreHiddenSettings(newSettings);
+        if (newSettings.sourceCredentials) {
+            Object.keys(newSettings.sourceCredentials).forEach((profileName) => {
+                const credentialsError = this.validateCredentials(newSettings.sourceCredentials[profileName]);
+                if (credentialsError) {
+                    const err = new Error('source credentials ' + profileName + ' ' + credentialsError);
+                    err.httpStatusCode = 400;
+                    throw err;
+                }
+            });
+        }
+        if (newSettings.deviceVariables) {
+            Object.keys(newSettings.deviceVariables).forEach((device) => {
+                const variablesError = this.validateTemplateVariables(newSettings.deviceVariables[device]);
+                if (variablesError) {
+                    const err = new Error('device variables ' + device + ' ' + variablesError);
+                    err.httpStatusCode = 400;
+                    throw err;
+                }
+            });
         }
-
-        if (query.policyName) {
-            policyName = query.policyName;
-        } else if (paths.length > 4) {
-            policyName = paths[4];
+        if (newSettings.verificationKeys) {
+            Object.keys(newSettings.verificationKeys).forEach((keyName) => {
+                if (typeof newSettings.verificationKeys[keyName] != 'string' || !newSettings.verificationKeys[keyName]) {
+                    const err = new Error('verification key ' + keyName + ' must be an HMAC secret or PEM public key string');
+                    err.httpStatusCode = 400;
+                    throw err;
+                }
+            });
         }
+        settings = Object.assign({}, settings, newSettings);
+        makeDirectory(dataDirectory);
+        // the settings file holds verification key and credential secrets
+        fs.writeFileSync(settingsFile, JSON.stringify(settings, null, 4), { mode: 0o600 });
+    }
 
-        // support async DELETING
-        let async = false;
-        if (query.async) {
-            if ( query.async.toLowerCase() === 'true' || query.async === '1' ) {
-                async = true;
-            }
+    /**
+     * Replace the hidden secret placeholders of settings returned by getPublicSettings
+     * with the saved secrets, so settings read with a GET can be put back as they are
+     * @param {Object} newSettings settings to update
+     * @returns {Object} the settings to update with the saved secrets
+     */
+    restoreHiddenSettings(newSettings) {
+        const hiddenError = (name) => {
+            const err = new Error(name + ' is hidden and has no saved value to keep');
+            err.httpStatusCode = 400;
+            return err;
+        };
+        const restoredSettings = Object.assign({}, newSettings);
+        if (newSettings.verificationKeys) {
+            restoredSettings.verificationKeys = Object.assign({}, newSettings.verificationKeys);
+            Object.keys(newSettings.verificationKeys).forEach((keyName) => {
+                if (newSettings.verificationKeys[keyName] === HIDDENSETTINGVALUE) {
+                    if (!settings.verificationKeys.hasOwnProperty(keyName)) {
+                        throw hiddenError('verification key ' + keyName);
+                    }
+                    restoredSettings.verificationKeys[keyName] = settings.verificationKeys[keyName];
+                }
+            });
         }
-
-        if(query.taskId) {
-            let returnPolicy = {
-                id: policyId,
-                targetHost: null,
-                targetPort: 443,
-                state: DELETING,
-                taskId: query.taskId
-            };
-            let checkTaskStatus = this.validateTarget(targetDevice)
-                .then((target) => {
-                    // populate response from target
-                    returnPolicy.targetHost = target.targetHost;
-                    returnPolicy.targetPort = target.targetPort;
-                    return this.getBulkTaskStatus(target.targetHost, target.targetPort, query.taskId);
-                })
-                .then((responseBody) => {
-                    // populate response from ASM bulk task state
-                    restOperation.statusCode = 200;
-                    if (responseBody.hasOwnProperty('status')){
-                        if (responseBody.status == 'FINISHED') {
-                            returnPolicy.state = DELETED;
-                        }
-                        if(responseBody.status == 'FAILURE') {
-                            restOperation.statusCode = 500;
-                            returnPolicy.state = ERROR;
+        if (newSettings.sourceCredentials) {
+            restoredSettings.sourceCredentials = Object.assign({}, newSettings.sourceCredentials);
+            Object.keys(newSettings.sourceCredentials).forEach((profileName) => {
+                const profile = newSettings.sourceCredentials[profileName];
+                if (!profile || typeof profile != 'object') {
+                    return;
+                }
+                const savedProfile = settings.sourceCredentials[profileName] || {};
+                const restoredProfile = Object.assign({}, profile);
+                CREDENTIALSECRETS.forEach((secret) => {
+                    if (profile[secret] === HIDDENSETTINGVALUE) {
+                        if (!savedProfile.hasOwnProperty(secret)) {
+                            throw hiddenError('source credentials ' + profileName + ' ' + secret);
                         }
-                        restOperation.body = returnPolicy;
-                        this.completeRestOperation(restOperation);
+                        restoredProfile[secret] = savedProfile[secret];
                     }
-                })
-                .catch((err) => {
-                    restOperation.statusCode = 500;
-                    returnPolicy.state = ERROR;
-                    this.completeRestOperation(restOperation);
                 });
-            Promise.all([checkTaskStatus]);
-        }
-
-        this.validateTarget(targetDevice)
-            .then((target) => {
-                this.getPoliciesOnBigIP(target.targetHost, target.targetPort)
-                    .then((policies) => {
-                        let targetPolicyId = null;
-                        let targetPolicyState = null;
-                        policies.forEach((policy) => {
-                            if (policyId && policy.id == policyId) {
-                                targetPolicyId = policy.id;
-                                targetPolicyState = policy.state;
-                            } else if (policyName && policy.name == policyName) {
-                                targetPolicyId = policy.id;
-                                targetPolicyState = policy.state;
+                if (profile.headers && typeof profile.headers == 'object') {
+                    restoredProfile.headers = Object.assign({}, profile.headers);
+                    Object.keys(profile.headers).forEach((header) => {
+                        if (profile.headers[header] === HIDDENSETTINGVALUE) {
+                            if (!(savedProfile.headers && savedProfile.headers.hasOwnProperty(header))) {
+                                throw hiddenError('source credentials ' + profileName + ' header ' + header);
                             }
-                        });
-                        if (!targetPolicyId) {
-                            const throwError = new Error(`policy could not be found on ${target.targetHost}:${target.targetPort}`);
-                            throwError.httpStatusCode = 404;
-                            throw throwError;
-                        } else {
-                            const inFlightIndex = `${target.targetHost}:${target.targetPort}:${targetPolicyId}`;
-                            if (Object.keys(requestedTasks).includes(inFlightIndex)) {
-                                if (requestedTasks[inFlightIndex].state == ERROR) {
-                                    delete requestedTasks[inFlightIndex];
-                                    restOperation.statusCode = 200;
-                                    restOperation.body = {
-                                        msg: `policy processing removed for policy: ${targetPolicyId} in error state`
-                                    };
-                                    this.completeRestOperation(restOperation);
-                                } else {
-                                    const throwErr = new Error('can not delete policy while processing. Current policy processing state is:' + requestedTasks[inFlightIndex].state);
-                                    throwErr.httpStatusCode = 409;
-                                    throw throwErr;
-                                }
-                            } else {
-                                if (targetPolicyState == AVAILABLE || targetPolicyState == INACTIVE) {
-                                    return this.deleteTaskOnBigIP(target.targetHost, target.targetPort, targetPolicyId, async);
-                                } else {
-                                    const throwErr = new Error('can not delete policy on target: ' + target.targetHost + ":" + target.targetPort + ' - policy state is:' + targetPolicyState);
-                                    throwErr.httpStatusCode = 409;
-                                    throw throwErr;
-                                }
-                            }
-                        }
-                    })
-                    .then((deleteReturn) => {
-                        if(!deleteReturn) {
-                            deleteReturn = {};
-                        }
-                        restOperation.statusCode = 200;
-                        restOperation.body = deleteReturn;
-                        restOperation.body.msg = `policy ${policyName} removed on target ${target.targetHost}:${target.targetPort}`;                        
-                        if(async) {
-                            restOperation.statusCode = 202;
-                            restOperation.body.msg = `policy ${policyName} is being removed on target ${target.targetHost}:${target.targetPort}`;
+                            restoredProfile.headers[header] = savedProfile.headers[header];
                         }
-                        this.completeRestOperation(restOperation);
-                    })
-                    .catch((err) => {
-                        restOperation.fail(err);
                     });
-            })
-            .catch((err) => {
-                err.httpStatusCode = 400;
-                restOperation.fail(err);
+                }
+                restoredSettings.sourceCredentials[profileName] = restoredProfile;
             });
+        }
+        return restoredSettings;
     }
 
-    getPoliciesOnBigIP(targetHost, targetPort, excludeInFlight) {
-        return new Promise((resolve, reject) => {
-            // assume targetHost + targetPort have ASM provisioned
-            // assume localhost should be returning only all inflight requests
-            let returnPolicies = {};
-            let inFlightPolicyIds = [];
-            if (!excludeInFlight) {
-                Object.keys(requestedTasks).forEach((inFlightIndex) => {
-                    if (targetHost != 'localhost') {
-                        if (inFlightIndex.startsWith(targetHost + ':' + targetPort)) {
-                            inFlightPolicyIds.push(requestedTasks[inFlightIndex].id);
-                            returnPolicies[requestedTasks[inFlightIndex].name] = requestedTasks[inFlightIndex];
-                        }
-                    } else {
-                        inFlightPolicyIds.push(requestedTasks[inFlightIndex].id);
-                        returnPolicies[requestedTasks[inFlightIndex].name] = requestedTasks[inFlightIndex];
-                    }
+    /**
+     * Settings to return in responses, with verification key and credential secrets hidden
+     */
+    getPublicSettings() {
+        const publicSettings = Object.assign({}, settings);
+        publicSettings.verificationKeys = {};
+        Object.keys(settings.verificationKeys).forEach((keyName) => {
+            publicSettings.verificationKeys[keyName] = this.isPublicKey(settings.verificationKeys[keyName]) ? settings.verificationKeys[keyName] : HIDDENSETTINGVALUE;
+        });
+        publicSettings.sourceCredentials = {};
+        Object.keys(settings.sourceCredentials).forEach((profileName) => {
+            const profile = Object.assign({}, settings.sourceCredentials[profileName]);
+            CREDENTIALSECRETS.forEach((secret) => {
+                if (profile.hasOwnProperty(secret)) {
+                    profile[secret] = HIDDENSETTINGVALUE;
+                }
+            });
+            if (profile.headers) {
+                profile.headers = {};
+                Object.keys(settings.sourceCredentials[profileName].headers).forEach((header) => {
+                    profile.headers[header] = HIDDENSETTINGVALUE;
                 });
             }
-            if (targetHost != 'localhost') {
-                // augment inFlight requests for targetHost:targetPort with ASM policies on device
-                this.logger.fine(LOGGINGPREFIX + 'making iControl REST to get ASM policies on targetHost: ' + targetHost);
-                this.restRequestSender.sendGet(this.getQueryPoliciesRestOp(targetHost, targetPort))
-                    .then((response) => {
-                        let policies = response.getBody();
-                        if (policies.hasOwnProperty('items')) {
-                            //this.logger.fine(LOGGINGPREFIX + 'getPoliciesOnBigIP on targetHost: ' + targetHost + ' returned: ' + JSON.stringify(policies));
-                            policies.items.forEach((policy) => {
-                                let returnPolicy = {
-                                    id: policy.id,
-                                    name: policy.name,
-                                    targetHost: targetHost,
-                                    targetPort: targetPort,
-                                    enforcementMode: policy.enforcementMode,
-                                    lastChanged: policy.versionDatetime,
-                                    lastChange: policy.versionLastChange,
-                                    state: AVAILABLE,
-                                    path: policy.fullPath
-                                };
-                                if (!policy.active) {
-                                    returnPolicy.state = 'INACTIVE';
-                                }
-                                if (!inFlightPolicyIds.includes(policy.id)) {
-                                    returnPolicies[policy.name] = returnPolicy;
-                                }
-                            });
-                        } else {
-                            this.logger.severe(LOGGINGPREFIX + 'iControl REST request to get ASM policies on targetHost: ' + targetHost + ' did not return a list of policies. Return body: ' + JSON.stringify(policies));
-                            reject(new Error('policies request did not return a list of policies. Returned body: ' + JSON.stringify(policies)));
-                        }
-                        resolve(Object.keys(returnPolicies).map(function (key) { return returnPolicies[key]; }));
-                    })
-                    .catch((err) => {
-                        if (err.message.includes('java.net.ConnectException: Connection refused')) {
-                            reject(new Error('ASM is not provisioned on ' + targetHost + ':' + targetPort));
-                        } else {
-                            this.logger.severe(LOGGINGPREFIX + 'iControl REST request to get ASM policies on targetHost: ' + targetHost + ' failed with exception response: ' + JSON.stringify({ message: err.message, stack: err.stack }));
-                            reject(err);
-                        }
-                    });
-            } else {
-                resolve(returnPolicies);
-            }
+            publicSettings.sourceCredentials[profileName] = profile;
         });
+        return publicSettings;
     }
 
-    /* jshint ignore:start */
-    updateInflightState(targetHost, targetPort, policyId, state, errMessage) {
-        const inFlightIndex = `${targetHost}:${targetPort}:${policyId}`;
-        if (state == FINISHED) {
-            if (requestedTasks.hasOwnProperty(inFlightIndex)) {
-                this.logger.info(LOGGINGPREFIX + 'policy processing complete for policy: ' + policyId + ' removing state - targetHost: ' + targetHost);
-                delete requestedTasks[inFlightIndex];
+    isPublicKey(key) {
+        return key.indexOf('-----BEGIN PUBLIC KEY-----') > -1 || key.indexOf('-----BEGIN RSA PUBLIC KEY-----') > -1;
+    }
+
+    /**
+     * Check the request verification options against the configured keys
+     * @param {Object} verification sha256, hmac, signature and verificationKey options
+     * @returns {String} the reason the options are not valid, or null
+     */
+    validateVerificationOptions(verification) {
+        if (verification.sha256 && !/^[0-9a-fA-F]{64}$/.test(verification.sha256)) {
+            return 'sha256 must be a hex encoded SHA-256 digest';
+        }
+        if (verification.hmac || verification.signature) {
+            if (verification.hmac && verification.signature) {
+                return 'supply either an hmac or a signature, not both';
             }
-        } else {
-            if (!requestedTasks.hasOwnProperty(inFlightIndex)) {
-                this.logger.info(LOGGINGPREFIX + 'initializing policy: ' + policyId + ' processing state to:' + state + ' targetHost: ' + targetHost);
-                requestedTasks[inFlightIndex] = {
-                    id: policyId,
-                    name: policyId,
-                    enforcementMode: 'UNKNOWN',
-                    state: state,
-                    path: 'UNKNOWN'
-                }
-            } else {
-                this.logger.info(LOGGINGPREFIX + 'transitioning policy: ' + policyId + ' processing from state:' + requestedTasks[inFlightIndex].state + ' to state: ' + state + ' targetHost: ' + targetHost);
-                requestedTasks[inFlightIndex].state = state;
+            if (!verification.verificationKey) {
+                return 'a verificationKey must be supplied to check an hmac or signature';
             }
-            if (state == ERROR) {
-                requestedTasks[inFlightIndex].errMessage = errMessage;
+            if (!settings.verificationKeys.hasOwnProperty(verification.verificationKey)) {
+                return 'verificationKey ' + verification.verificationKey + ' is not configured in settings';
             }
+            const publicKey = this.isPublicKey(settings.verificationKeys[verification.verificationKey]);
+            if (verification.hmac && publicKey) {
+                return 'verificationKey ' + verification.verificationKey + ' is a public key and can not check an hmac';
+            }
+            if (verification.signature && !publicKey) {
+                return 'verificationKey ' + verification.verificationKey + ' is not a public key and can not check a signature';
+            }
+        } else if (verification.verificationKey) {
+            return 'verificationKey requires an hmac or signature';
         }
+        return null;
+    }
+
+    /**
+     * Verify a downloaded policy file against an expected SHA-256 digest, a
+     * hex HMAC-SHA256 or a base64 detached SHA-256 signature. Files which fail
+     * verification are removed from the policy cache.
+     * @param {String} policyFile policy file in the download directory
+     * @param {Object} verification sha256, hmac, signature and verificationKey options
+     * @returns Promise resolving to the policy file
+     */
+    verifyPolicyFile(policyFile, verification) {
+        return new Promise((resolve, reject) => {
+            if (!verification) {
+                resolve(policyFile);
+                return;
+            }
+            const filePath = `${downloadDirectory}/${policyFile}`;
+            let verificationError = null;
+            try {
+                const policyData = fs.readFileSync(filePath);
+                if (verification.sha256) {
+                    const digest = crypto.createHash('sha256').update(policyData).digest('hex');
+                    if (digest != verification.sha256.toLowerCase()) {
+                        verificationError = 'SHA-256 digest ' + digest + ' does not match the expected digest';
+                    }
+                }
+                if (!verificationError && verification.hmac) {
+                    const hmac = crypto.createHmac('sha256', settings.verificationKeys[verification.verificationKey]).update(policyData).digest('hex');
+                    if (!digestsMatch(verification.hmac.toLowerCase(), hmac)) {
+                        verificationError = 'HMAC does not match for verificationKey ' + verification.verificationKey;
+                    }
+                }
+                if (!verificationError && verification.signature) {
+                    const verifier = crypto.createVerify('SHA256');
+                    verifier.update(policyData);
+                    if (!verifier.verify(settings.verificationKeys[verification.verificationKey], verification.signature, 'base64')) {
+                        verificationError = 'signature does not match for verificationKey ' + verification.verificationKey;
+                    }
+                }
+            } catch (err) {
+                verificationError = err.message;
+            }
+            if (verificationError) {
+                this.logger.severe(LOGGINGPREFIX + 'policy file ' + policyFile + ' failed verification - ' + verificationError);
+                try {
+                    fs.unlinkSync(filePath);
+                } catch (err) {
+                    this.logger.severe(LOGGINGPREFIX + ' could not delete file ' + policyFile + ' - ' + err.message);
+                }
+                const err = new Error('policy downloaded from source URL failed verification - ' + verificationError);
+                err.httpStatusCode = 400;
+                reject(err);
+            } else {
+                this.logger.info(LOGGINGPREFIX + 'policy file ' + policyFile + ' passed verification');
+                resolve(policyFile);
+            }
+        });
     }
-    /* jshint ignore:end */
 
 
     resolvePolicyFileName(policyId, timestamp) {
@@ -855,24 +5139,31 @@ class TrustedASMPoliciesWorker {
     }
 
     validateTMOSCompatibility(sourceVersion, targetVersion) {
-        /* if (sourceVersion && targetVersion) {
-            if (sourceVersion.split('.')[0] == targetVersion.split('.')[0]) {
-                return true;
-            } else {
+        if (!targetVersion) {
+            // the local device is not discovered with a version
+            return true;
+        }
+        if (!sourceVersion) {
+            return false;
+        }
+        return TMOSCOMPATIBILITYMATRIX.some((rule) => {
+            if (!(versionInRange(sourceVersion, parseVersionRange(rule.source)) && versionInRange(targetVersion, parseVersionRange(rule.target)))) {
                 return false;
             }
-        } else {
+            if (rule.allow == 'upgrade') {
+                return compareVersions(targetVersion, sourceVersion) >= 0;
+            } else if (rule.allow == 'release') {
+                return String(sourceVersion).split('.').slice(0, 2).join('.') == String(targetVersion).split('.').slice(0, 2).join('.');
+            }
             return false;
-        }
-        */
-        return true;
+        });
     }
 
-    validateFileIsValidASMPolicy(policyFile, targetVersion) {
+    validateFileIsValidASMPolicy(policyFile, targetVersion, skipVersionCheck) {
         return new Promise((resolve, reject) => {
             try {
                 const policyVersion = this.getPolicyVersionFromFile(policyFile);
-                if (this.validateTMOSCompatibility(policyVersion, targetVersion)) {
+                if (skipVersionCheck || this.validateTMOSCompatibility(policyVersion, targetVersion)) {
                     resolve(true);
                 } else {
                     const err = new Error('policy XML file TMOS version:' + policyVersion + ' is not compatible with ASM on ' + targetVersion);
@@ -932,7 +5223,7 @@ class TrustedASMPoliciesWorker {
     /* jshint ignore:end */
 
     /* jshint ignore:start */
-    importPolicyToBigIP(targetHost, targetPort, policyId, policyName, timestamp) {
+    importPolicyToBigIP(targetHost, targetPort, policyId, policyName, timestamp, replacePolicyId, apply, attach) {
         return new Promise((resolve, reject) => {
             const inFlightImportIndex = `${targetHost}:${targetPort}:${policyName}`;
             if (inFlightImports.hasOwnProperty(inFlightImportIndex)) {
@@ -946,11 +5237,18 @@ class TrustedASMPoliciesWorker {
                 inFlightImports[inFlightImportIndex] = {
                     notify: new EventEmitter()
                 };
+                // the imported policy stays on the device when a later stage fails
+                let importedPolicyId = null;
                 this.updateInflightState(targetHost, targetPort, policyName, UPLOADING);
+                this.addJobTargetWork(targetHost, targetPort, policyName, 'uploads', {
+                    uploadIndex: `${targetHost}:${targetPort}:${policyId}:${timestamp}`,
+                    policyFile: this.resolvePolicyFileName(policyId, timestamp)
+                });
                 this.uploadPolicyFileToBigIP(targetHost, targetPort, policyId, timestamp)
                     .then(() => {
+                        this.checkCancelled(targetHost, targetPort, policyName);
                         this.updateInflightState(targetHost, targetPort, policyName, IMPORTING);
-                        return this.importTaskOnBigIP(targetHost, targetPort, policyId, policyName, timestamp);
+                        return this.importTaskOnBigIP(targetHost, targetPort, policyId, policyName, timestamp, replacePolicyId);
                     })
                     .then((targetPolicyId) => {
                         //if (targetPolicyId != policyId) {
@@ -961,16 +5259,39 @@ class TrustedASMPoliciesWorker {
                         //    requestedTasks[`${targetHost}:${targetPort}:${policyName}`] = returnPolicy;
                         //    delete requestedTasks[`${targetHost}:${targetPort}:${policyName}`];
                         //}
+                        importedPolicyId = targetPolicyId;
+                        this.updateJobTargetPolicyId(targetHost, targetPort, policyName, targetPolicyId);
+                        this.checkCancelled(targetHost, targetPort, policyName);
+                        if (apply === false) {
+                            // staged policies are applied later with a POST request to /apply
+                            return targetPolicyId;
+                        }
                         this.updateInflightState(targetHost, targetPort, policyName, APPLYING);
-                        return this.applyTaskOnBigIP(targetHost, targetPort, targetPolicyId);
+                        return this.applyTaskOnBigIP(targetHost, targetPort, targetPolicyId, policyName);
+                    })
+                    .then((targetPolicyId) => {
+                        if (!attach) {
+                            return targetPolicyId;
+                        }
+                        this.checkCancelled(targetHost, targetPort, policyName);
+                        this.updateInflightState(targetHost, targetPort, policyName, ATTACHING);
+                        return this.attachPolicyOnBigIP(targetHost, targetPort, targetPolicyId, attach)
+                            .then((references) => {
+                                this.updateJobTargetAttached(targetHost, targetPort, policyName, references);
+                                return targetPolicyId;
+                            });
                     })
                     .then((targetPolicyId) => {
-                        this.updateInflightState(targetHost, targetPort, policyName, FINISHED);
+                        this.updateJobTargetPolicyId(targetHost, targetPort, policyName, targetPolicyId);
+                        this.updateInflightState(targetHost, targetPort, policyName, apply === false ? IMPORTED : FINISHED);
                         inFlightImports[inFlightImportIndex].notify.emit('applied', targetPolicyId);
                         delete inFlightImports[inFlightImportIndex];
                         resolve(targetPolicyId);
                     })
                     .catch((err) => {
+                        if (importedPolicyId && !err.importedPolicyId) {
+                            err.importedPolicyId = importedPolicyId;
+                        }
                         inFlightImports[inFlightImportIndex].notify.emit('importError', err);
                         delete inFlightImports[inFlightImportIndex];
                         reject(err);
@@ -979,6 +5300,126 @@ class TrustedASMPoliciesWorker {
         });
     }
 
+    /**
+     * Import a policy on a target device, replacing any existing policy with
+     * the same name. The existing policy is exported as a snapshot before it
+     * is replaced, and is imported again if the replacement fails.
+     *
+     * The 'delete' replace strategy removes the existing policy and imports a
+     * new one. The 'overwrite' replace strategy imports over the existing
+     * policy, keeping its policy ID and virtual server associations.
+     * @param {String} targetHost target device host
+     * @param {Number} targetPort target device port
+     * @param {String} policyId cached policy file ID to import
+     * @param {String} policyName policy name on the target device
+     * @param {Number} timestamp cached policy file timestamp
+     * @param {Object} existingPolicy policy with the same name on the target device or null
+     * @param {String} replaceStrategy 'delete' or 'overwrite'
+     * @param {Boolean} apply false to import the policy without applying it
+     * @param {Object} attach virtualServers and ltmPolicy to attach the imported policy to, or null
+     * @returns Promise resolving to the imported policy ID
+     */
+    replacePolicyOnBigIP(targetHost, targetPort, policyId, policyName, timestamp, existingPolicy, replaceStrategy, apply, attach) {
+        if (!existingPolicy) {
+            return this.importPolicyToBigIP(targetHost, targetPort, policyId, policyName, timestamp, null, apply, attach);
+        }
+        const overwrite = (replaceStrategy == REPLACEOVERWRITE);
+        const snapshotTimestamp = new Date(existingPolicy.lastChanged).getTime();
+        // once the existing policy is deleted or being overwritten, any failure restores the snapshot
+        let replaced = false;
+        let recycled = null;
+        this.updateInflightState(targetHost, targetPort, policyName, SNAPSHOTTING);
+        return this.exportPolicyFromBigIP(targetHost, targetPort, existingPolicy.id, snapshotTimestamp)
+            .catch((err) => {
+                throw new Error('could not snapshot policy ' + existingPolicy.id + ' before replacing it - ' + err.message);
+            })
+            .then(() => {
+                this.logger.info(LOGGINGPREFIX + 'policy ' + existingPolicy.id + ' on ' + targetHost + ':' + targetPort + ' saved as snapshot ' + this.resolvePolicyFileName(existingPolicy.id, snapshotTimestamp));
+                this.updateJobTargetSnapshot(targetHost, targetPort, policyName, {
+                    policyId: existingPolicy.id,
+                    lastChanged: existingPolicy.lastChanged,
+                    policyFile: this.resolvePolicyFileName(existingPolicy.id, snapshotTimestamp)
+                });
+                this.checkCancelled(targetHost, targetPort, policyName);
+                if (!overwrite) {
+                    this.updateInflightState(targetHost, targetPort, policyName, REMOVING);
+                    // the snapshot is kept in the recycle bin after it leaves the policy cache
+                    const inFlightIndex = `${targetHost}:${targetPort}:${policyName}`;
+                    const jobId = jobTargets.hasOwnProperty(inFlightIndex) ? jobTargets[inFlightIndex] : null;
+                    const jobTarget = jobId && jobs[jobId] ? this.getJobTarget(jobs[jobId], targetHost, targetPort, policyName) : null;
+                    try {
+                        recycled = this.recyclePolicyFile({
+                            targetHost: targetHost,
+                            targetPort: targetPort,
+                            targetUUID: jobTarget ? jobTarget.targetUUID : null
+                        }, existingPolicy, this.resolvePolicyFileName(existingPolicy.id, snapshotTimestamp), RECYCLEREPLACED, jobId);
+                    } catch (err) {
+                        throw new Error('could not save policy ' + existingPolicy.id + ' in the recycle bin before replacing it - ' + err.message);
+                    }
+                    // the delete is not recorded as job target work, a cancel waits for it and then restores the snapshot
+                    return this.deleteTaskOnBigIP(targetHost, targetPort, existingPolicy.id, false)
+                        .then(() => {
+                            replaced = true;
+                        }, (err) => {
+                            // the existing policy is still on the device, so it is not in the recycle bin
+                            this.removeRecycleBinEntry(recycled);
+                            throw err;
+                        });
+                }
+            })
+            .then(() => {
+                this.checkCancelled(targetHost, targetPort, policyName);
+                if (overwrite) {
+                    replaced = true;
+                    return this.importPolicyToBigIP(targetHost, targetPort, policyId, policyName, timestamp, existingPolicy.id, apply, attach);
+                }
+                return this.importPolicyToBigIP(targetHost, targetPort, policyId, policyName, timestamp, null, apply, attach);
+            })
+            .catch((err) => {
+                if (!replaced) {
+                    throw err;
+                }
+                if (overwrite) {
+                    return this.rollbackPolicyOnBigIP(targetHost, targetPort, existingPolicy.id, policyName, snapshotTimestamp, err, existingPolicy.id);
+                }
+                // a policy imported before applying failed holds the name, the snapshot is imported over it
+                return this.rollbackPolicyOnBigIP(targetHost, targetPort, existingPolicy.id, policyName, snapshotTimestamp, err, err.importedPolicyId)
+                    .catch((rollbackErr) => {
+                        // the restored policy is back on the device, so it is no longer in the recycle bin
+                        if (rollbackErr.rolledBack) {
+                            this.removeRecycleBinEntry(recycled);
+                        }
+                        throw rollbackErr;
+                    });
+            });
+    }
+
+    /**
+     * Import a policy snapshot after a failed replacement. Always rejects with
+     * the replacement error. The error has rolledBack set when the snapshot
+     * was restored and the task state is left as ROLLED_BACK.
+     * @param {String} replacePolicyId policy to import the snapshot over, the overwritten policy or a
+     * policy imported before the replacement failed, which otherwise keeps the policy name
+     */
+    rollbackPolicyOnBigIP(targetHost, targetPort, snapshotPolicyId, policyName, snapshotTimestamp, replaceError, replacePolicyId) {
+        this.logger.severe(LOGGINGPREFIX + 'replacing policy ' + policyName + ' on ' + targetHost + ':' + targetPort + ' failed - ' + replaceError.message + '. rolling back to snapshot of policy ' + snapshotPolicyId);
+        this.updateInflightState(targetHost, targetPort, policyName, ROLLINGBACK);
+        return this.importPolicyToBigIP(targetHost, targetPort, snapshotPolicyId, policyName, snapshotTimestamp, replacePolicyId)
+            .then((restoredPolicyId) => {
+                this.logger.info(LOGGINGPREFIX + 'policy ' + policyName + ' was restored from snapshot on ' + targetHost + ':' + targetPort + ' as policy id: ' + restoredPolicyId);
+                this.updateJobTargetPolicyId(targetHost, targetPort, policyName, restoredPolicyId);
+                this.updateInflightState(targetHost, targetPort, policyName, ROLLEDBACK, replaceError.message);
+                // show the rolled back task in place of the restored policy
+                if (requestedTasks.hasOwnProperty(`${targetHost}:${targetPort}:${policyName}`)) {
+                    requestedTasks[`${targetHost}:${targetPort}:${policyName}`].id = restoredPolicyId;
+                }
+                replaceError.rolledBack = true;
+                throw replaceError;
+            }, (rollbackError) => {
+                throw new Error(replaceError.message + ' - rollback to snapshot of policy ' + snapshotPolicyId + ' also failed - ' + rollbackError.message);
+            });
+    }
+
     /* jshint ignore:end */
     exportTaskOnBigIP(sourceHost, sourcePort, policyId, timestamp) {
         return new Promise((resolve, reject) => {
@@ -987,6 +5428,10 @@ class TrustedASMPoliciesWorker {
                 .then((response) => {
                     let task = response.getBody();
                     if (task.hasOwnProperty('id')) {
+                        const inFlightExportIndex = `${sourceHost}:${sourcePort}:${policyId}`;
+                        if (inFlightExports.hasOwnProperty(inFlightExportIndex)) {
+                            inFlightExports[inFlightExportIndex].taskId = task.id;
+                        }
                         this.pollTaskUntilFinished(sourceHost, sourcePort, task.id, 'export')
                             .then(() => {
                                 resolve();
@@ -1006,13 +5451,17 @@ class TrustedASMPoliciesWorker {
 
 
     /* jshint ignore:end */
-    importTaskOnBigIP(targetHost, targetPort, policyId, policyName, timestamp) {
+    importTaskOnBigIP(targetHost, targetPort, policyId, policyName, timestamp, replacePolicyId) {
         return new Promise((resolve, reject) => {
-            this.restRequestSender.sendPost(this.getImportRestOp(targetHost, targetPort, policyId, policyName, timestamp))
+            this.restRequestSender.sendPost(this.getImportRestOp(targetHost, targetPort, policyId, policyName, timestamp, replacePolicyId))
                 .then((response) => {
                     let task = response.getBody();
                     if (task.hasOwnProperty('id')) {
                         this.logger.info(LOGGINGPREFIX + 'importing policy ' + policyId + ' to ' + targetHost + ':' + targetPort + ' task ID:' + task.id);
+                        this.addJobTargetWork(targetHost, targetPort, policyName, 'asmTasks', {
+                            taskId: task.id,
+                            type: 'import'
+                        });
                         this.pollTaskUntilFinished(targetHost, targetPort, task.id, 'import')
                             .then((targetPolicyId) => {
                                 resolve(targetPolicyId);
@@ -1031,12 +5480,18 @@ class TrustedASMPoliciesWorker {
     }
 
     /* jshint ignore:start */
-    applyTaskOnBigIP(targetHost, targetPort, policyId) {
+    applyTaskOnBigIP(targetHost, targetPort, policyId, policyName) {
         return new Promise((resolve, reject) => {
             this.restRequestSender.sendPost(this.getApplyPolicyRestOp(targetHost, targetPort, policyId))
                 .then((response) => {
                     let task = response.getBody();
                     if (task.hasOwnProperty('id')) {
+                        if (policyName) {
+                            this.addJobTargetWork(targetHost, targetPort, policyName, 'asmTasks', {
+                                taskId: task.id,
+                                type: 'apply'
+                            });
+                        }
                         this.pollTaskUntilFinished(targetHost, targetPort, task.id, 'apply')
                             .then(() => {
                                 resolve(policyId);
@@ -1091,6 +5546,240 @@ class TrustedASMPoliciesWorker {
     }
     /* jshint ignore:end */
 
+    /**
+     * Send an iControl REST request for virtual server and LTM policy bindings to a device
+     * @param {String} method 'Get', 'Post', 'Patch' or 'Delete'
+     * @param {String} restPath path and query under /mgmt/tm
+     * @param {Object} body request body or null
+     * @returns Promise resolving to the response body
+     */
+    sendBindingRequest(targetHost, targetPort, method, restPath, body) {
+        return this.restRequestSender['send' + method](this.getBindingRestOp(targetHost, targetPort, method, restPath, body))
+            .then((response) => {
+                return response.getBody();
+            });
+    }
+
+    /**
+     * Virtual servers and LTM policies which use an ASM policy on a device.
+     * The LTM policies ASM creates for the policy virtual servers are left out.
+     * @returns Promise resolving to the policy fullPath, virtualServers, and ltmPolicies with the names of the rules which enable the policy
+     */
+    getPolicyReferencesOnBigIP(targetHost, targetPort, policyId) {
+        let references = null;
+        return this.sendBindingRequest(targetHost, targetPort, 'Get', `asm/policies/${policyId}?$select=fullPath,virtualServers`)
+            .then((policy) => {
+                references = {
+                    fullPath: policy.fullPath,
+                    virtualServers: toArray(policy.virtualServers),
+                    ltmPolicies: []
+                };
+                return this.sendBindingRequest(targetHost, targetPort, 'Get', 'ltm/policy?expandSubcollections=true');
+            })
+            .then((ltmPolicies) => {
+                toArray(ltmPolicies.items).forEach((ltmPolicy) => {
+                    if (ltmPolicy.name.startsWith(ASMAUTOLTMPOLICYPREFIX) || ltmPolicy.subPath == 'Drafts') {
+                        return;
+                    }
+                    const rules = toArray(ltmPolicy.rulesReference && ltmPolicy.rulesReference.items).filter((rule) => {
+                        return toArray(rule.actionsReference && rule.actionsReference.items).some((action) => {
+                            return isAsmPolicyAction(action, references.fullPath);
+                        });
+                    });
+                    if (rules.length > 0) {
+                        references.ltmPolicies.push({
+                            name: ltmPolicy.fullPath,
+                            rules: rules.map((rule) => {
+                                return rule.name;
+                            })
+                        });
+                    }
+                });
+                return references;
+            });
+    }
+
+    /**
+     * Edit an LTM policy through a draft, which is published when the edit
+     * resolves and removed when it rejects
+     * @param {String} ltmPolicy LTM policy full path
+     * @param {Function} edit called with the draft REST path and the draft with its rules, returning a Promise
+     */
+    editLtmPolicyOnBigIP(targetHost, targetPort, ltmPolicy, edit) {
+        const draftPath = toRestPath(toDraftPath(ltmPolicy));
+        return this.sendBindingRequest(targetHost, targetPort, 'Patch', `ltm/policy/${toRestPath(ltmPolicy)}?options=create-draft`, {})
+            .then(() => {
+                return this.sendBindingRequest(targetHost, targetPort, 'Get', `ltm/policy/${draftPath}?expandSubcollections=true`)
+                    .then((draft) => {
+                        return edit(draftPath, draft);
+                    })
+                    .catch((err) => {
+                        return this.sendBindingRequest(targetHost, targetPort, 'Delete', `ltm/policy/${draftPath}`)
+                            .catch((deleteErr) => {
+                                this.logger.severe(LOGGINGPREFIX + 'could not remove draft LTM policy ' + toDraftPath(ltmPolicy) + ' on ' + targetHost + ':' + targetPort + ' - ' + deleteErr.message);
+                            })
+                            .then(() => {
+                                throw err;
+                            });
+                    });
+            })
+            .then(() => {
+                return this.sendBindingRequest(targetHost, targetPort, 'Post', 'ltm/policy', {
+                    command: 'publish',
+                    name: toDraftPath(ltmPolicy)
+                });
+            });
+    }
+
+    /**
+     * Attach an ASM policy to virtual servers, and to an LTM policy with a rule
+     * which enables the ASM policy, then verify the bindings on the device
+     * @param {Object} attach virtualServers and ltmPolicy full paths
+     * @returns Promise resolving to the policy references on the device
+     */
+    attachPolicyOnBigIP(targetHost, targetPort, policyId, attach) {
+        let policyFullPath = null;
+        return this.sendBindingRequest(targetHost, targetPort, 'Get', `asm/policies/${policyId}?$select=fullPath,virtualServers`)
+            .then((policy) => {
+                policyFullPath = policy.fullPath;
+                const virtualServers = toArray(policy.virtualServers);
+                const addVirtualServers = attach.virtualServers.filter((virtualServer) => {
+                    return !virtualServers.includes(virtualServer);
+                });
+                if (addVirtualServers.length > 0) {
+                    this.logger.info(LOGGINGPREFIX + 'attaching policy ' + policyFullPath + ' to virtual servers ' + addVirtualServers.join(',') + ' on ' + targetHost + ':' + targetPort);
+                    return this.sendBindingRequest(targetHost, targetPort, 'Patch', `asm/policies/${policyId}`, {
+                        virtualServers: virtualServers.concat(addVirtualServers)
+                    });
+                }
+            })
+            .then(() => {
+                if (!attach.ltmPolicy) {
+                    return;
+                }
+                this.logger.info(LOGGINGPREFIX + 'attaching policy ' + policyFullPath + ' to LTM policy ' + attach.ltmPolicy + ' on ' + targetHost + ':' + targetPort);
+                return this.editLtmPolicyOnBigIP(targetHost, targetPort, attach.ltmPolicy, (draftPath, draft) => {
+                    const ruleName = LTMRULEPREFIX + policyFullPath.split('/').pop();
+                    const actions = [{ name: '0', asm: true, enable: true, policy: policyFullPath }];
+                    const draftUpdate = {};
+                    // ASM actions need the LTM policy to control asm and require http
+                    if (!toArray(draft.controls).includes('asm')) {
+                        draftUpdate.controls = toArray(draft.controls).concat(['asm']);
+                    }
+                    if (!toArray(draft.requires).includes('http')) {
+                        draftUpdate.requires = toArray(draft.requires).concat(['http']);
+                    }
+                    const ruleExists = toArray(draft.rulesReference && draft.rulesReference.items).some((rule) => {
+                        return rule.name == ruleName;
+                    });
+                    let updateDraft = Promise.resolve();
+                    if (Object.keys(draftUpdate).length > 0) {
+                        updateDraft = this.sendBindingRequest(targetHost, targetPort, 'Patch', `ltm/policy/${draftPath}`, draftUpdate);
+                    }
+                    return updateDraft
+                        .then(() => {
+                            if (ruleExists) {
+                                return this.sendBindingRequest(targetHost, targetPort, 'Patch', `ltm/policy/${draftPath}/rules/${ruleName}`, { actions: actions });
+                            }
+                            return this.sendBindingRequest(targetHost, targetPort, 'Post', `ltm/policy/${draftPath}/rules`, { name: ruleName, actions: actions });
+                        });
+                });
+            })
+            .then(() => {
+                return this.getPolicyReferencesOnBigIP(targetHost, targetPort, policyId);
+            })
+            .then((references) => {
+                const missing = attach.virtualServers.filter((virtualServer) => {
+                    return !references.virtualServers.includes(virtualServer);
+                });
+                if (attach.ltmPolicy && !references.ltmPolicies.some((ltmPolicy) => {
+                    return ltmPolicy.name == attach.ltmPolicy;
+                })) {
+                    missing.push('LTM policy ' + attach.ltmPolicy);
+                }
+                if (missing.length > 0) {
+                    throw new Error('policy ' + policyFullPath + ' was not attached to ' + missing.join(', ') + ' on ' + targetHost + ':' + targetPort);
+                }
+                this.logger.info(LOGGINGPREFIX + 'verified policy ' + policyFullPath + ' is attached on ' + targetHost + ':' + targetPort);
+                return references;
+            });
+    }
+
+    /**
+     * Remove the virtual server and LTM policy bindings of an ASM policy on a
+     * device. LTM policy rules which only enable the policy are removed, other
+     * rules keep their other actions.
+     * @returns Promise resolving to the references which were removed
+     */
+    detachPolicyOnBigIP(targetHost, targetPort, policyId) {
+        return this.getPolicyReferencesOnBigIP(targetHost, targetPort, policyId)
+            .then((references) => {
+                // LTM policy drafts are edited and published one at a time
+                return references.ltmPolicies.reduce((previous, ltmPolicy) => {
+                    return previous.then(() => {
+                        this.logger.info(LOGGINGPREFIX + 'detaching policy ' + references.fullPath + ' from LTM policy ' + ltmPolicy.name + ' on ' + targetHost + ':' + targetPort);
+                        return this.editLtmPolicyOnBigIP(targetHost, targetPort, ltmPolicy.name, (draftPath, draft) => {
+                            return toArray(draft.rulesReference && draft.rulesReference.items).filter((rule) => {
+                                return ltmPolicy.rules.includes(rule.name);
+                            }).reduce((previousRule, rule) => {
+                                return previousRule.then(() => {
+                                    const actions = toArray(rule.actionsReference && rule.actionsReference.items).filter((action) => {
+                                        return !isAsmPolicyAction(action, references.fullPath);
+                                    }).map((action) => {
+                                        const keptAction = Object.assign({}, action);
+                                        LTMACTIONREADONLY.forEach((property) => {
+                                            delete keptAction[property];
+                                        });
+                                        return keptAction;
+                                    });
+                                    if (actions.length === 0) {
+                                        return this.sendBindingRequest(targetHost, targetPort, 'Delete', `ltm/policy/${draftPath}/rules/${rule.name}`);
+                                    }
+                                    return this.sendBindingRequest(targetHost, targetPort, 'Patch', `ltm/policy/${draftPath}/rules/${rule.name}`, { actions: actions });
+                                });
+                            }, Promise.resolve());
+                        });
+                    });
+                }, Promise.resolve())
+                    .then(() => {
+                        if (references.virtualServers.length > 0) {
+                            this.logger.info(LOGGINGPREFIX + 'detaching policy ' + references.fullPath + ' from virtual servers ' + references.virtualServers.join(',') + ' on ' + targetHost + ':' + targetPort);
+                            return this.sendBindingRequest(targetHost, targetPort, 'Patch', `asm/policies/${policyId}`, { virtualServers: [] });
+                        }
+                    })
+                    .then(() => {
+                        return references;
+                    });
+            });
+    }
+
+    /**
+     * Remove an ASM task on a device. Running tasks stop being polled.
+     * Errors are logged, not rejected, as this is only cleanup.
+     */
+    removeTaskOnBigIP(targetHost, targetPort, taskId, type) {
+        const polledTaskIndex = `${targetHost}:${targetPort}:${taskId}`;
+        // a finished task is no longer polled, so nothing would clear its cancellation
+        if (polledTasks.hasOwnProperty(polledTaskIndex)) {
+            cancelledTasks[polledTaskIndex] = true;
+        }
+        this.logger.info(LOGGINGPREFIX + 'removing ' + type + ' task ' + taskId + ' on ' + targetHost + ':' + targetPort);
+        // policy deletes run as bulk tasks
+        const deleteTaskRestOp = type == 'delete' ? this.getDeleteBulkTaskRestOp(targetHost, targetPort, taskId) : this.getDeleteTaskRestOp(targetHost, targetPort, taskId, type);
+        return this.restRequestSender.sendDelete(deleteTaskRestOp)
+            .catch((err) => {
+                this.logger.severe(LOGGINGPREFIX + 'could not remove ' + type + ' task ' + taskId + ' on ' + targetHost + ':' + targetPort + ' - ' + err.message);
+            });
+    }
+
+    removeUploadedFileOnBigIP(targetHost, targetPort, policyFile) {
+        this.logger.info(LOGGINGPREFIX + 'removing uploaded file ' + policyFile + ' on ' + targetHost + ':' + targetPort);
+        return this.restRequestSender.sendPost(this.getRemoveFileRestOp(targetHost, targetPort, ASMUPLOADDIRECTORY + '/' + policyFile))
+            .catch((err) => {
+                this.logger.severe(LOGGINGPREFIX + 'could not remove uploaded file ' + policyFile + ' on ' + targetHost + ':' + targetPort + ' - ' + err.message);
+            });
+    }
+
     getQueryPoliciesRestOp(targetHost, targetPort) {
         let protocol = 'https';
         if (targetHost == 'localhost') {
@@ -1140,7 +5829,7 @@ class TrustedASMPoliciesWorker {
         return op;
     }
 
-    getImportRestOp(targetHost, targetPort, policyId, policyName, timestamp) {
+    getImportRestOp(targetHost, targetPort, policyId, policyName, timestamp, replacePolicyId) {
         let protocol = 'https';
         if (targetHost == 'localhost') {
             protocol = 'http';
@@ -1151,6 +5840,13 @@ class TrustedASMPoliciesWorker {
             filename: this.resolvePolicyFileName(policyId, timestamp),
             name: policyName
         };
+        if (replacePolicyId) {
+            // import over the existing policy content keeping its policy ID
+            delete destBody.name;
+            destBody.policyReference = {
+                link: "http://localhost/mgmt/tm/asm/policies/" + replacePolicyId
+            };
+        }
         const op = this.restOperationFactory.createRestOperationInstance()
             .setUri(url.parse(destUri))
             .setContentType("application/json")
@@ -1401,6 +6097,56 @@ class TrustedASMPoliciesWorker {
         return op;
     }
 
+    getRemoveFileRestOp(targetHost, targetPort, filePath) {
+        let protocol = 'https';
+        if (targetHost == 'localhost') {
+            protocol = 'http';
+        }
+        const destUri = `${protocol}://${targetHost}:${targetPort}/mgmt/tm/util/unix-rm`;
+        this.logger.fine(LOGGINGPREFIX + 'preparing iControl REST POST request to : ' + destUri );
+        const destBody = {
+            command: 'run',
+            utilCmdArgs: filePath
+        };
+        const op = this.restOperationFactory.createRestOperationInstance()
+            .setUri(url.parse(destUri))
+            .setContentType("application/json")
+            .setMethod('Post')
+            .setBody(destBody);
+        if (targetHost == 'localhost') {
+            op.setBasicAuthorization(localauth);
+            op.setIsSetBasicAuthHeader(true);
+        } else {
+            op.setIdentifiedDeviceRequest(true);
+        }
+        op.setHeaders({'Connection': 'close'});
+        return op;
+    }
+
+    getBindingRestOp(targetHost, targetPort, method, restPath, body) {
+        let protocol = 'https';
+        if (targetHost == 'localhost') {
+            protocol = 'http';
+        }
+        const destUri = `${protocol}://${targetHost}:${targetPort}/mgmt/tm/${restPath}`;
+        this.logger.fine(LOGGINGPREFIX + 'preparing iControl REST ' + method.toUpperCase() + ' request to : ' + destUri );
+        const op = this.restOperationFactory.createRestOperationInstance()
+            .setUri(url.parse(destUri))
+            .setContentType("application/json")
+            .setMethod(method);
+        if (body) {
+            op.setBody(body);
+        }
+        if (targetHost == 'localhost') {
+            op.setBasicAuthorization(localauth);
+            op.setIsSetBasicAuthHeader(true);
+        } else {
+            op.setIdentifiedDeviceRequest(true);
+        }
+        op.setHeaders({'Connection': 'close'});
+        return op;
+    }
+
     validateTarget(targetDevice) {
         return new Promise((resolve, reject) => {
             if (!targetDevice) {
@@ -1427,6 +6173,109 @@ class TrustedASMPoliciesWorker {
         });
     }
 
+    /**
+     * Read target selectors from query variables, overridden by the request body
+     * @param {Object} query request query variables
+     * @param {Object} body request body
+     * @returns {Object} selectors which were supplied, or null if there are none
+     */
+    getTargetSelector(query, body) {
+        const selector = {};
+        ['deviceGroup', 'targetHostname', 'targetVersion'].forEach((key) => {
+            if (body.hasOwnProperty(key)) {
+                selector[key] = body[key];
+            } else if (query[key]) {
+                selector[key] = query[key];
+            }
+        });
+        let allTargets = query.allTargets;
+        if (body.hasOwnProperty('allTargets')) {
+            allTargets = body.allTargets;
+        }
+        if (allTargets === true || (typeof allTargets == 'string' && (allTargets.toLowerCase() === 'true' || allTargets === '1'))) {
+            selector.allTargets = true;
+        }
+        return Object.keys(selector).length > 0 ? selector : null;
+    }
+
+    /**
+     * Resolve a list of target hosts or UUIDs, or the trusted devices matching
+     * a target selector, to validated trusted devices. All selectors in a
+     * target selector must match.
+     * @param {Array} targetDevices list of target hosts or UUIDs
+     * @param {Object} selector optional deviceGroup, targetHostname glob, targetVersion range or allTargets
+     * @returns Promise resolving to a list of trusted devices
+     */
+    resolveTargetDevices(targetDevices, selector) {
+        return new Promise((resolve, reject) => {
+            if (selector) {
+                let versionRange = null;
+                let selectorError = null;
+                if (targetDevices.length > 0) {
+                    selectorError = 'target selectors can not be combined with targetHost, targetUUID, targetHosts or targetUUIDs';
+                } else if (selector.deviceGroup && !String(selector.deviceGroup).startsWith(DEVICEGROUP_PREFIX)) {
+                    selectorError = 'device group ' + selector.deviceGroup + ' is not a trusted device group';
+                } else if (selector.targetVersion) {
+                    versionRange = parseVersionRange(selector.targetVersion);
+                    if (!versionRange) {
+                        selectorError = 'targetVersion ' + selector.targetVersion + ' is not a valid version range';
+                    }
+                }
+                if (selectorError) {
+                    const err = new Error(selectorError);
+                    err.httpStatusCode = 400;
+                    reject(err);
+                    return;
+                }
+                const hostnamePattern = selector.targetHostname ? globToRegExp(String(selector.targetHostname)) : null;
+                this.getDevices()
+                    .then((devices) => {
+                        const selectedDevices = [];
+                        const selectedUUIDs = [];
+                        devices.forEach((device) => {
+                            if (selector.deviceGroup && device.deviceGroup != selector.deviceGroup) {
+                                return;
+                            }
+                            if (hostnamePattern && !hostnamePattern.test(device.targetHostname)) {
+                                return;
+                            }
+                            if (versionRange && !versionInRange(device.targetVersion, versionRange)) {
+                                return;
+                            }
+                            // devices can be members of more than one trusted device group
+                            if (!selectedUUIDs.includes(device.targetUUID)) {
+                                selectedUUIDs.push(device.targetUUID);
+                                selectedDevices.push(device);
+                            }
+                        });
+                        if (selectedDevices.length === 0) {
+                            const err = new Error('no trusted devices match target selector ' + JSON.stringify(selector));
+                            err.httpStatusCode = 404;
+                            reject(err);
+                        } else {
+                            resolve(selectedDevices);
+                        }
+                    })
+                    .catch((err) => {
+                        reject(err);
+                    });
+            } else {
+                const validationPromises = [];
+                targetDevices.forEach((targetDevice) => {
+                    validationPromises.push(this.validateTarget(targetDevice));
+                });
+                Promise.all(validationPromises)
+                    .then((targets) => {
+                        resolve(targets);
+                    })
+                    .catch((err) => {
+                        err.httpStatusCode = 404;
+                        reject(err);
+                    });
+            }
+        });
+    }
+
     /**
      * Request to get all trusted device groups
      * @returns Promise when request completes
@@ -1502,6 +6351,7 @@ class TrustedASMPoliciesWorker {
                                             targetUUID: device.machineId,
                                             targetHostname: device.hostname,
                                             targetVersion: device.version,
+                                            deviceGroup: devicegroup.groupName,
                                             state: device.state
                                         };
                                         devices.push(returnDevice);
@@ -1524,13 +6374,15 @@ class TrustedASMPoliciesWorker {
                 })
                 .catch((err) => {
                     this.logger.severe(LOGGINGPREFIX + 'error getting device groups:' + err.message);
-                    throw err;
+                    reject(err);
                 });
         });
     }
 
     pollTaskUntilFinished(targetHost, targetPort, taskId, type, timeout) {
-        return new Promise((resolve, reject) => {
+        const polledTaskIndex = `${targetHost}:${targetPort}:${taskId}`;
+        polledTasks[polledTaskIndex] = true;
+        return this.settleTaskPolling(polledTaskIndex, new Promise((resolve, reject) => {
             if (!timeout) {
                 timeout = TASKTIMEOUT;
             }
@@ -1539,6 +6391,12 @@ class TrustedASMPoliciesWorker {
             let returnData = {};
 
             const poll = () => {
+                if (cancelledTasks.hasOwnProperty(polledTaskIndex)) {
+                    const err = new Error(type + ' task ' + taskId + ' on ' + targetHost + ':' + targetPort + ' was cancelled');
+                    err.cancelled = true;
+                    reject(err);
+                    return;
+                }
                 this.getTaskStatus(targetHost, targetPort, taskId, type)
                     .then((responseBody) => {
                         if (responseBody.hasOwnProperty('status')) {
@@ -1569,11 +6427,13 @@ class TrustedASMPoliciesWorker {
             };
 
             setImmediate(poll);
-        });
+        }));
     }
 
     pollBulkTaskUntilFinished(targetHost, targetPort, taskId, timeout) {
-        return new Promise((resolve, reject) => {
+        const polledTaskIndex = `${targetHost}:${targetPort}:${taskId}`;
+        polledTasks[polledTaskIndex] = true;
+        return this.settleTaskPolling(polledTaskIndex, new Promise((resolve, reject) => {
             if (!timeout) {
                 timeout = TASKTIMEOUT;
             }
@@ -1582,6 +6442,12 @@ class TrustedASMPoliciesWorker {
             let returnData = {};
 
             const poll = () => {
+                if (cancelledTasks.hasOwnProperty(polledTaskIndex)) {
+                    const err = new Error('delete task ' + taskId + ' on ' + targetHost + ':' + targetPort + ' was cancelled');
+                    err.cancelled = true;
+                    reject(err);
+                    return;
+                }
                 this.getBulkTaskStatus(targetHost, targetPort, taskId)
                     .then((responseBody) => {
                         if (responseBody.hasOwnProperty('status')) {
@@ -1607,10 +6473,41 @@ class TrustedASMPoliciesWorker {
             };
 
             setImmediate(poll);
-        });
+        }));
+    }
+
+    /**
+     * Stop tracking an ASM task when its polling settles, with any cancellation
+     * which arrived after its last poll
+     * @param {String} polledTaskIndex host:port:taskId
+     * @param {Promise} polling promise of the task polling
+     * @returns Promise settling as the task polling
+     */
+    settleTaskPolling(polledTaskIndex, polling) {
+        const settle = () => {
+            delete polledTasks[polledTaskIndex];
+            delete cancelledTasks[polledTaskIndex];
+        };
+        return polling
+            .then((result) => {
+                settle();
+                return result;
+            })
+            .catch((err) => {
+                settle();
+                throw err;
+            });
     }
 
-    downloadPolicyFile(sourceUrl, policyId, timestamp) {
+    /**
+     * Download a policy file from a source URL to the policy cache
+     * @param {String} sourceUrl file, http or https URL
+     * @param {String} policyId policy ID used in the cached file name
+     * @param {Number} timestamp timestamp used in the cached file name
+     * @param {Object} downloadOptions optional headers, TLS and limit options from resolveDownloadOptions
+     * @returns Promise resolving to the cached policy file name
+     */
+    downloadPolicyFile(sourceUrl, policyId, timestamp, downloadOptions) {
         return new Promise((resolve, reject) => {
             const inFlightDownloadIndex = `${sourceUrl}:${policyId}:${timestamp}`;
             try {
@@ -1650,131 +6547,31 @@ class TrustedASMPoliciesWorker {
                                 delete inFlightDownloads[inFlightDownloadIndex];
                                 reject(err);
                             }
-                        } else if (parsedUrl.protocol == 'http:') {
-                            this.logger.info(LOGGINGPREFIX + 'downloading ' + sourceUrl);
-                            let fws = fs.createWriteStream(filePath);
-                            let request = http.get(sourceUrl, (response) => {
-                                if (response.statusCode > 300 && response.statusCode < 400 && response.headers.location) {
-                                    fs.unlinkSync(filePath);
-                                    const redirectUrlParsed = url.parse(response.headers.location);
-                                    let redirectUrl = parsedUrl.host + response.headers.location;
-                                    if (redirectUrlParsed.hostname) {
-                                        redirectUrl = response.headers.location;
-                                    }
-                                    this.logger.info(LOGGINGPREFIX + 'following download redirect to:' + redirectUrl);
-                                    fws = fs.createWriteStream(filePath);
-                                    request = https.get(redirectUrl, (response) => {
-                                        this.logger.info(LOGGINGPREFIX + 'redirect has status: ' + response.statusCode + ' body:' + JSON.stringify(response.headers));
-                                        response.pipe(fws);
-                                        fws.on('finish', () => {
-                                            fws.close();
-                                            inFlightDownloads[inFlightDownloadIndex].notify.emit('downloaded', policyFile);
-                                            delete inFlightDownloads[inFlightDownloadIndex];
-                                            resolve(policyFile);
-                                        });
-                                    })
-                                        .on('error', (err) => {
-                                            this.logger.severe(LOGGINGPREFIX + 'error downloading url ' + redirectUrl + ' - ' + err.message);
-                                            fws.close();
-                                            fs.unlinkSync(filePath);
-                                            inFlightDownloads[inFlightDownloadIndex].notify.emit('downloadError', err);
-                                            delete inFlightDownloads[inFlightDownloadIndex];
-                                            reject(err);
-                                        });
-                                } else {
-                                    response.pipe(fws);
-                                    fws.on('finish', () => {
-                                        fws.close();
-                                        if (response.statusCode < 300) {
-                                            inFlightDownloads[inFlightDownloadIndex].notify.emit('downloaded', policyFile);
-                                            delete inFlightDownloads[inFlightDownloadIndex];
-                                            resolve(policyFile);
-                                        } else {
-                                            const downloadError = new Error(LOGGINGPREFIX + 'error downloading url ' + sourceUrl + ' - ' + response.statusCode);
-                                            this.logger.severe(downloadError.message);
-                                            if (fs.existsSync(filePath)) {
-                                                fs.unlinkSync(filePath);
-                                            }
-                                            inFlightDownloads[inFlightDownloadIndex].notify.emit('downloadError', downloadError);
-                                            delete inFlightDownloads[inFlightDownloadIndex];
-                                            reject(downloadError);
-                                        }
-                                    });
-                                }
-                            })
-                                .on('error', (err) => {
-                                    this.logger.severe(LOGGINGPREFIX + 'error downloading url ' + sourceUrl + ' - ' + err.message);
-                                    fws.close();
-                                    fs.unlinkSync(filePath);
-                                    inFlightDownloads[inFlightDownloadIndex].notify.emit('downloadError', err);
-                                    delete inFlightDownloads[inFlightDownloadIndex];
-                                    reject(err);
-                                });
-                            request.end();
-                        } else {
-                            this.logger.info(LOGGINGPREFIX + 'downloading ' + sourceUrl);
-                            process.env["NODE_TLS_REJECT_UNAUTHORIZED"] = 0; // jshint ignore:line
-                            let fws = fs.createWriteStream(filePath);
-                            let request = https.get(sourceUrl, (response) => {
-                                if (response.statusCode > 300 && response.statusCode < 400 && response.headers.location) {
-                                    fs.unlinkSync(filePath);
-                                    const redirectUrlParsed = url.parse(response.headers.location);
-                                    let redirectUrl = parsedUrl.host + response.headers.location;
-                                    if (redirectUrlParsed.hostname) {
-                                        redirectUrl = response.headers.location;
-                                    }
-                                    this.logger.info(LOGGINGPREFIX + 'following download redirect to:' + redirectUrl);
-                                    fws = fs.createWriteStream(filePath);
-                                    request = https.get(redirectUrl, (response) => {
-                                        this.logger.info(LOGGINGPREFIX + 'redirect has status: ' + response.statusCode + ' body:' + JSON.stringify(response.headers));
-                                        response.pipe(fws);
-                                        fws.on('finish', () => {
-                                            fws.close();
-                                            inFlightDownloads[inFlightDownloadIndex].notify.emit('downloaded', policyFile);
-                                            delete inFlightDownloads[inFlightDownloadIndex];
-                                            resolve(policyFile);
-                                        });
-                                    })
-                                        .on('error', (err) => {
-                                            this.logger.severe(LOGGINGPREFIX + 'error downloading url ' + redirectUrl + ' - ' + err.message);
-                                            fws.close();
-                                            if (fs.existsSync(filePath)) {
-                                                fs.unlinkSync(filePath);
-                                            }
-                                            inFlightDownloads[inFlightDownloadIndex].notify.emit('downloadError', policyFile);
-                                            delete inFlightDownloads[inFlightDownloadIndex];
-                                            reject(err);
-                                        });
-                                } else {
-                                    response.pipe(fws);
-                                    fws.on('finish', () => {
-                                        fws.close();
-                                        if (response.statusCode < 300) {
-                                            inFlightDownloads[inFlightDownloadIndex].notify.emit('downloaded', policyFile);
-                                            delete inFlightDownloads[inFlightDownloadIndex];
-                                            resolve(policyFile);
-                                        } else {
-                                            const downloadError = new Error(LOGGINGPREFIX + 'error downloading url ' + sourceUrl + ' - ' + response.statusCode);
-                                            this.logger.severe(downloadError.message);
-                                            if (fs.existsSync(filePath)) {
-                                                fs.unlinkSync(filePath);
-                                            }
-                                            inFlightDownloads[inFlightDownloadIndex].notify.emit('downloadError', downloadError);
-                                            delete inFlightDownloads[inFlightDownloadIndex];
-                                            reject(downloadError);
-                                        }
-                                    });
-                                }
-                            })
-                                .on('error', (err) => {
+                        } else {
+                            let fetchUrl = sourceUrl;
+                            let fetchOptions = downloadOptions || this.resolveDownloadOptions(null, null);
+                            if (parsedUrl.protocol == 's3:') {
+                                const s3Request = this.resolveS3Request(sourceUrl, 'GET', sha256Hex(''), fetchOptions, {});
+                                fetchUrl = s3Request.url;
+                                // signed S3 requests are not redirected
+                                fetchOptions = Object.assign({}, fetchOptions, { headers: s3Request.headers, maxRedirects: 0 });
+                            }
+                            this.logger.info(LOGGINGPREFIX + 'downloading ' + fetchUrl);
+                            this.fetchUrlToFile(fetchUrl, filePath, fetchOptions)
+                                .then(() => {
+                                    inFlightDownloads[inFlightDownloadIndex].notify.emit('downloaded', policyFile);
+                                    delete inFlightDownloads[inFlightDownloadIndex];
+                                    resolve(policyFile);
+                                })
+                                .catch((err) => {
                                     this.logger.severe(LOGGINGPREFIX + 'error downloading url ' + sourceUrl + ' - ' + err.message);
-                                    fws.close();
-                                    fs.unlinkSync(filePath);
+                                    if (fs.existsSync(filePath)) {
+                                        fs.unlinkSync(filePath);
+                                    }
                                     inFlightDownloads[inFlightDownloadIndex].notify.emit('downloadError', err);
                                     delete inFlightDownloads[inFlightDownloadIndex];
-                                    resolve(false);
+                                    reject(err);
                                 });
-                            request.end();
                         }
                     } else {
                         const err = 'extension url must use the following protocols:' + JSON.stringify(VALIDDOWNLOADPROTOCOLS);
@@ -1791,6 +6588,478 @@ class TrustedASMPoliciesWorker {
         });
     }
 
+    /**
+     * Save inline policy XML to the policy cache
+     * @param {String} policyXml ASM policy XML
+     * @param {String} policyId policy ID used in the cached file name
+     * @param {Number} timestamp timestamp used in the cached file name
+     * @returns Promise resolving to the cached policy file name
+     */
+    savePolicyFile(policyXml, policyId, timestamp) {
+        return new Promise((resolve, reject) => {
+            const policyFile = this.resolvePolicyFileName(policyId, timestamp);
+            this.logger.info(LOGGINGPREFIX + 'saving inline policy file:' + policyFile);
+            fs.writeFile(`${downloadDirectory}/${policyFile}`, policyXml, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(policyFile);
+                }
+            });
+        });
+    }
+
+    /**
+     * Check a list of policy transforms from a request
+     * @returns {String} the reason the transforms are not valid, or null
+     */
+    validatePolicyTransforms(transforms) {
+        if (!Array.isArray(transforms)) {
+            return 'transforms must be a list';
+        }
+        let transformsError = null;
+        transforms.forEach((transform, index) => {
+            if (transformsError) {
+                return;
+            }
+            if (typeof transform != 'object' || transform === null || !TRANSFORMOPTIONS.hasOwnProperty(transform.op)) {
+                transformsError = 'transform ' + index + ' op must be one of ' + JSON.stringify(Object.keys(TRANSFORMOPTIONS));
+                return;
+            }
+            const options = TRANSFORMOPTIONS[transform.op];
+            Object.keys(options).forEach((option) => {
+                if (!transformsError && (typeof transform[option] != options[option] || transform[option] === null)) {
+                    transformsError = 'transform ' + index + ' ' + transform.op + ' ' + option + ' must be a ' + (options[option] == 'object' ? 'list' : options[option]);
+                }
+            });
+            if (transformsError) {
+                return;
+            }
+            if (transform.op == 'enforcementMode' && !ENFORCEMENTMODES.includes(transform.value)) {
+                transformsError = 'transform ' + index + ' enforcementMode value must be one of ' + JSON.stringify(ENFORCEMENTMODES);
+            } else if (transform.op == 'disableSignatures' && !(Array.isArray(transform.signatureIds) && transform.signatureIds.length > 0 && transform.signatureIds.every((signatureId) => {
+                return typeof signatureId == 'string' || Number.isInteger(signatureId);
+            }))) {
+                transformsError = 'transform ' + index + ' disableSignatures signatureIds must be a list of signature IDs';
+            } else if (options.ips && !(Array.isArray(transform.ips) && transform.ips.length > 0 && transform.ips.every((ip) => {
+                return ip && typeof ip.ipAddress == 'string' && ['undefined', 'string'].includes(typeof ip.subnetMask) && ['undefined', 'string'].includes(typeof ip.description);
+            }))) {
+                transformsError = 'transform ' + index + ' ' + transform.op + ' ips must be a list of ipAddress, subnetMask and description strings';
+            }
+        });
+        return transformsError;
+    }
+
+    /**
+     * Apply the request transforms to a cached policy file, and report the edits on the job targets of the policy
+     * @param {String} jobId job ID
+     * @param {Array} transforms request transforms, or null when the policy is not transformed
+     * @param {String} policyId policy ID of the cached policy file
+     * @param {Number} timestamp timestamp of the cached policy file
+     * @param {String} policyName target policy name
+     * @returns Promise resolving to the policy ID of the transformed cached policy file
+     */
+    transformPolicyFile(jobId, transforms, policyId, timestamp, policyName) {
+        return new Promise((resolve, reject) => {
+            if (!transforms) {
+                resolve(policyId);
+                return;
+            }
+            fs.readFile(`${downloadDirectory}/${this.resolvePolicyFileName(policyId, timestamp)}`, 'utf8', (err, policyXml) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                let transformed = null;
+                try {
+                    transformed = transformPolicyXml(policyXml, transforms);
+                } catch (err) {
+                    reject(err);
+                    return;
+                }
+                // exported source policy files are shared with other requests, so the transformed policy gets its own file
+                const transformedPolicyId = policyId + '_' + sha256Hex(JSON.stringify(transforms)).substr(0, 12);
+                const transformedFile = this.resolvePolicyFileName(transformedPolicyId, timestamp);
+                fs.writeFile(`${downloadDirectory}/${transformedFile}`, transformed.xml, (err) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    this.logger.info(LOGGINGPREFIX + 'applied ' + transforms.length + ' transforms to policy ' + policyName + ' as policy file:' + transformedFile);
+                    this.updateJobTransforms(jobId, policyName, transformed.results);
+                    resolve(transformedPolicyId);
+                });
+            });
+        });
+    }
+
+    /**
+     * Check a template variables object from settings or a request
+     * @returns {String} the reason the variables are not valid, or null
+     */
+    validateTemplateVariables(variables) {
+        if (typeof variables != 'object' || variables === null || Array.isArray(variables)) {
+            return 'must be an object';
+        }
+        let variablesError = null;
+        Object.keys(variables).forEach((variable) => {
+            if (!/^[\w.-]+$/.test(variable)) {
+                variablesError = 'variable name ' + variable + ' can only include letters, digits, _, . and -';
+            } else if (!['string', 'number', 'boolean'].includes(typeof variables[variable])) {
+                variablesError = 'variable ' + variable + ' must be a string, number or boolean';
+            }
+        });
+        return variablesError;
+    }
+
+    /**
+     * Resolve the template variables for a target device. Built in TARGET_HOST,
+     * TARGET_PORT, TARGET_UUID, TARGET_HOSTNAME, TARGET_VERSION and POLICY_NAME
+     * variables are overridden by the deviceVariables setting, then the request
+     * variables, then the request targetVariables for the device.
+     * @param {Object} template request template variables and targetVariables
+     * @param {Object} target validated target device
+     * @param {String} policyName target policy name
+     * @returns {Object} variables
+     */
+    resolveTemplateVariables(template, target, policyName) {
+        const variables = {
+            TARGET_HOST: target.targetHost,
+            TARGET_PORT: target.targetPort,
+            TARGET_UUID: target.targetUUID || '',
+            TARGET_HOSTNAME: target.targetHostname || '',
+            TARGET_VERSION: target.targetVersion || '',
+            POLICY_NAME: policyName
+        };
+        // the most specific device key is applied last
+        const deviceKeys = [target.targetHostname, target.targetUUID, target.targetHost].filter((key) => {
+            return key;
+        });
+        deviceKeys.forEach((key) => {
+            Object.assign(variables, settings.deviceVariables[key]);
+        });
+        Object.assign(variables, template.variables);
+        deviceKeys.forEach((key) => {
+            Object.assign(variables, template.targetVariables[key]);
+        });
+        return variables;
+    }
+
+    /**
+     * Render a cached policy template for a target device to its own cached policy file
+     * @param {Object} template request template, or null when the policy is not templated
+     * @param {String} policyId policy ID of the cached policy file
+     * @param {Number} timestamp timestamp of the cached policy file
+     * @param {Object} target validated target device
+     * @param {String} policyName target policy name
+     * @returns Promise resolving to the policy ID of the cached policy file to upload
+     */
+    renderPolicyTemplate(template, policyId, timestamp, target, policyName) {
+        return new Promise((resolve, reject) => {
+            if (!template) {
+                resolve(policyId);
+                return;
+            }
+            this.updateInflightState(target.targetHost, target.targetPort, policyName, RENDERING);
+            fs.readFile(`${downloadDirectory}/${this.resolvePolicyFileName(policyId, timestamp)}`, 'utf8', (err, policyXml) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                const result = renderTemplate(policyXml, this.resolveTemplateVariables(template, target, policyName));
+                if (result.missing.length > 0) {
+                    reject(new Error('policy template variables ' + result.missing.join(',') + ' are not defined for ' + target.targetHost + ':' + target.targetPort));
+                    return;
+                }
+                // each rendering gets its own policy file, so concurrent requests rendering the same
+                // template for a target device with other variables never share an upload
+                const renderedPolicyId = policyId + '_' + sha256Hex(target.targetHost + ':' + target.targetPort + ':' + policyName + ':' + result.rendered).substr(0, 12);
+                const renderedFile = this.resolvePolicyFileName(renderedPolicyId, timestamp);
+                this.logger.info(LOGGINGPREFIX + 'rendered policy template ' + policyName + ' for ' + target.targetHost + ':' + target.targetPort + ' as policy file:' + renderedFile);
+                fs.writeFile(`${downloadDirectory}/${renderedFile}`, result.rendered, (err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(renderedPolicyId);
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Resolve the headers, TLS and limit options to download from a source URL
+     * @param {String} credentialProfile optional name of a sourceCredentials settings profile
+     * @param {Object} credentials optional request credentials, overriding the profile
+     * @returns {Object} download options
+     */
+    resolveDownloadOptions(credentialProfile, credentials) {
+        let profile = {};
+        if (credentialProfile) {
+            if (!settings.sourceCredentials.hasOwnProperty(credentialProfile)) {
+                const err = new Error('credentialProfile ' + credentialProfile + ' is not configured in settings');
+                err.httpStatusCode = 400;
+                throw err;
+            }
+            profile = settings.sourceCredentials[credentialProfile];
+        }
+        if (credentials) {
+            const credentialsError = this.validateCredentials(credentials);
+            if (credentialsError) {
+                const err = new Error('credentials ' + credentialsError);
+                err.httpStatusCode = 400;
+                throw err;
+            }
+            // only an administrator configured profile can turn off server certificate verification
+            if (credentials.rejectUnauthorized === false) {
+                const err = new Error('credentials rejectUnauthorized can only be set to false in a sourceCredentials settings profile');
+                err.httpStatusCode = 400;
+                throw err;
+            }
+            profile = Object.assign({}, profile, credentials);
+        }
+        const headers = {};
+        if (profile.username) {
+            headers.Authorization = 'Basic ' + Buffer.from(profile.username + ':' + (profile.password || '')).toString('base64');
+        } else if (profile.token) {
+            headers.Authorization = 'Bearer ' + profile.token;
+        }
+        Object.assign(headers, profile.headers || {});
+        return {
+            headers: headers,
+            ca: profile.ca || settings.downloadCABundle || null,
+            rejectUnauthorized: profile.hasOwnProperty('rejectUnauthorized') ? profile.rejectUnauthorized : settings.downloadRejectUnauthorized,
+            maxRedirects: settings.downloadMaxRedirects,
+            maxBytes: settings.downloadMaxBytes,
+            s3: {
+                accessKeyId: profile.accessKeyId || null,
+                secretAccessKey: profile.secretAccessKey || null,
+                sessionToken: profile.sessionToken || null,
+                region: profile.region || settings.s3Region,
+                endpoint: profile.endpoint || settings.s3Endpoint
+            }
+        };
+    }
+
+    /**
+     * Check a credentials object from settings or a request
+     * @returns {String} the reason the credentials are not valid, or null
+     */
+    validateCredentials(credentials) {
+        if (typeof credentials != 'object' || credentials === null || Array.isArray(credentials)) {
+            return 'must be an object';
+        }
+        let credentialsError = null;
+        Object.keys(credentials).forEach((key) => {
+            if (!CREDENTIALKEYS.hasOwnProperty(key)) {
+                credentialsError = 'can not include ' + key + '. valid keys are ' + JSON.stringify(Object.keys(CREDENTIALKEYS));
+            } else if (typeof credentials[key] != CREDENTIALKEYS[key] || credentials[key] === null) {
+                credentialsError = key + ' must be a ' + CREDENTIALKEYS[key];
+            }
+        });
+        if (!credentialsError && credentials.headers) {
+            Object.keys(credentials.headers).forEach((header) => {
+                if (typeof credentials.headers[header] != 'string') {
+                    credentialsError = 'header ' + header + ' must be a string';
+                }
+            });
+        }
+        return credentialsError;
+    }
+
+    /**
+     * Request options for an artifact server URL with the download TLS options
+     */
+    getSourceRequestOptions(parsedUrl, method, headers, downloadOptions) {
+        const requestOptions = {
+            protocol: parsedUrl.protocol,
+            hostname: parsedUrl.hostname,
+            port: parsedUrl.port,
+            path: parsedUrl.path,
+            method: method,
+            headers: headers
+        };
+        if (parsedUrl.protocol == 'https:') {
+            // explicit so NODE_TLS_REJECT_UNAUTHORIZED set for BIG-IP uploads does not apply
+            requestOptions.rejectUnauthorized = downloadOptions.rejectUnauthorized;
+            if (downloadOptions.ca) {
+                requestOptions.ca = downloadOptions.ca;
+            }
+        }
+        return requestOptions;
+    }
+
+    /**
+     * Resolve an s3://bucket/key URL to the object URL on the S3 endpoint,
+     * with signed headers when the download options have S3 credentials
+     * @param {String} s3Url s3://bucket/key URL
+     * @param {String} method HTTP method
+     * @param {String} payloadHash hex SHA-256 of the request body
+     * @param {Object} downloadOptions download options from resolveDownloadOptions
+     * @param {Object} headers additional request headers to sign
+     * @returns {Object} the object url and request headers
+     */
+    resolveS3Request(s3Url, method, payloadHash, downloadOptions, headers) {
+        const parsedS3Url = url.parse(s3Url);
+        const key = decodeURIComponent((parsedS3Url.pathname || '').substr(1));
+        if (!parsedS3Url.hostname || !key) {
+            const err = new Error('s3 url ' + s3Url + ' must be s3://bucket/key');
+            err.httpStatusCode = 400;
+            throw err;
+        }
+        const s3 = downloadOptions.s3;
+        let objectUrl = `https://${parsedS3Url.hostname}.s3.${s3.region}.amazonaws.com/${encodeS3Key(key)}`;
+        if (s3.endpoint) {
+            // S3 compatible endpoints are addressed path style
+            objectUrl = `${s3.endpoint.replace(/\/+$/, '')}/${parsedS3Url.hostname}/${encodeS3Key(key)}`;
+        }
+        if (s3.accessKeyId && s3.secretAccessKey) {
+            signS3Request(method, url.parse(objectUrl), headers, payloadHash, s3);
+        }
+        return {
+            url: objectUrl,
+            headers: headers
+        };
+    }
+
+    /**
+     * PUT a cached policy file to an s3://bucket/key URL
+     * @param {String} s3Url s3://bucket/key URL
+     * @param {String} policyFile cached policy file name
+     * @param {Object} downloadOptions download options from resolveDownloadOptions
+     * @returns Promise resolving to the object url and ETag
+     */
+    uploadPolicyFileToS3(s3Url, policyFile, downloadOptions) {
+        return new Promise((resolve, reject) => {
+            fs.readFile(`${downloadDirectory}/${policyFile}`, (err, policyContent) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                const s3Request = this.resolveS3Request(s3Url, 'PUT', sha256Hex(policyContent), downloadOptions, {
+                    'Content-Type': 'text/xml',
+                    'Content-Length': policyContent.length
+                });
+                const parsedUrl = url.parse(s3Request.url);
+                const httplib = parsedUrl.protocol == 'https:' ? https : http;
+                this.logger.info(LOGGINGPREFIX + 'uploading policy file:' + policyFile + ' to ' + s3Request.url);
+                const request = httplib.request(this.getSourceRequestOptions(parsedUrl, 'PUT', s3Request.headers, downloadOptions), (response) => {
+                    let responseBody = '';
+                    response.on('data', (chunk) => {
+                        responseBody = responseBody + chunk;
+                    });
+                    response.on('end', () => {
+                        if (response.statusCode >= 300) {
+                            reject(new Error('upload to ' + s3Url + ' returned status ' + response.statusCode + ' ' + responseBody.substr(0, 512)));
+                        } else {
+                            resolve({
+                                url: s3Url,
+                                objectUrl: s3Request.url,
+                                etag: response.headers.etag || null,
+                                size: policyContent.length
+                            });
+                        }
+                    });
+                });
+                request.setTimeout(TASKTIMEOUT, () => {
+                    reject(new Error('upload to ' + s3Url + ' timed out'));
+                    request.abort();
+                });
+                request.on('error', (err) => {
+                    reject(new Error('upload to ' + s3Url + ' failed - ' + err.message));
+                });
+                request.end(policyContent);
+            });
+        });
+    }
+
+    /**
+     * GET an http or https URL into a file, following redirects. Credentials
+     * are only sent to the server in the original URL, and redirects from
+     * https to http are refused.
+     * @param {String} sourceUrl http or https URL
+     * @param {String} filePath file to write
+     * @param {Object} downloadOptions headers, TLS and limit options from resolveDownloadOptions
+     * @returns Promise resolving when the file is written
+     */
+    fetchUrlToFile(sourceUrl, filePath, downloadOptions) {
+        return new Promise((resolve, reject) => {
+            const fetch = (requestUrl, redirects, headers) => {
+                const parsedUrl = url.parse(requestUrl);
+                if (parsedUrl.protocol != 'http:' && parsedUrl.protocol != 'https:') {
+                    reject(new Error('download from ' + requestUrl + ' must use http: or https:'));
+                    return;
+                }
+                const httplib = parsedUrl.protocol == 'https:' ? https : http;
+                const request = httplib.request(this.getSourceRequestOptions(parsedUrl, 'GET', headers, downloadOptions), (response) => {
+                    if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+                        response.resume();
+                        if (redirects >= downloadOptions.maxRedirects) {
+                            reject(new Error('download from ' + sourceUrl + ' exceeded ' + downloadOptions.maxRedirects + ' redirects'));
+                            return;
+                        }
+                        const redirectUrl = url.resolve(requestUrl, response.headers.location);
+                        const redirectUrlParsed = url.parse(redirectUrl);
+                        if (parsedUrl.protocol == 'https:' && redirectUrlParsed.protocol != 'https:') {
+                            reject(new Error('download from ' + requestUrl + ' redirected to ' + redirectUrl + ' which does not use https:'));
+                            return;
+                        }
+                        let redirectHeaders = headers;
+                        if (redirectUrlParsed.protocol != parsedUrl.protocol || redirectUrlParsed.host != parsedUrl.host) {
+                            redirectHeaders = {};
+                        }
+                        this.logger.info(LOGGINGPREFIX + 'following download redirect to:' + redirectUrl);
+                        fetch(redirectUrl, redirects + 1, redirectHeaders);
+                        return;
+                    }
+                    if (response.statusCode >= 300) {
+                        response.resume();
+                        reject(new Error('download from ' + requestUrl + ' returned status ' + response.statusCode));
+                        return;
+                    }
+                    const contentLength = parseInt(response.headers['content-length'], 10);
+                    if (contentLength > downloadOptions.maxBytes) {
+                        request.abort();
+                        reject(new Error('download from ' + requestUrl + ' of ' + contentLength + ' bytes exceeds the ' + downloadOptions.maxBytes + ' byte limit'));
+                        return;
+                    }
+                    let received = 0;
+                    let failed = false;
+                    const fws = fs.createWriteStream(filePath);
+                    response.on('data', (chunk) => {
+                        received = received + chunk.length;
+                        if (received > downloadOptions.maxBytes && !failed) {
+                            failed = true;
+                            response.unpipe(fws);
+                            fws.end();
+                            request.abort();
+                            reject(new Error('download from ' + requestUrl + ' exceeds the ' + downloadOptions.maxBytes + ' byte limit'));
+                        }
+                    });
+                    fws.on('finish', () => {
+                        if (!failed) {
+                            resolve();
+                        }
+                    });
+                    fws.on('error', (err) => {
+                        failed = true;
+                        reject(err);
+                    });
+                    response.pipe(fws);
+                });
+                request.setTimeout(TASKTIMEOUT, () => {
+                    reject(new Error('download from ' + requestUrl + ' timed out'));
+                    request.abort();
+                });
+                request.on('error', (err) => {
+                    reject(new Error('download from ' + requestUrl + ' failed - ' + err.message));
+                });
+                request.end();
+            };
+            fetch(sourceUrl, 0, downloadOptions.headers);
+        });
+    }
+
     downloadPolicyFileFromBigIP(sourceHost, sourcePort, policyId, timestamp) {
         return new Promise((resolve, reject) => {
             const inFlightDownloadIndex = `${sourceHost}:${sourcePort}:${policyId}:${timestamp}`;
@@ -1903,6 +7172,244 @@ class TrustedASMPoliciesWorker {
         });
     }
 
+    /**
+     * Find a policy by ID or name on a trusted device and export it to the
+     * download cache.
+     * @param {String} sourceDevice trusted device host or UUID
+     * @param {String} policyId policy ID
+     * @param {String} policyName policy name
+     * @returns Promise resolving to the exported policy details including the cached file name
+     */
+    exportPolicyToFile(sourceDevice, policyId, policyName) {
+        const exportedPolicy = {
+            targetHost: null,
+            targetPort: null,
+            policyId: null,
+            policyName: null,
+            lastChanged: null,
+            file: null
+        };
+        let policyTimestamp = null;
+        return this.validateTarget(sourceDevice)
+            .then((source) => {
+                exportedPolicy.targetHost = source.targetHost;
+                exportedPolicy.targetPort = source.targetPort;
+                return this.getPoliciesOnBigIP(source.targetHost, source.targetPort, true);
+            })
+            .then((policies) => {
+                policies.forEach((policy) => {
+                    if ((policyId && policy.id == policyId) || (!policyId && policyName && policy.name == policyName)) {
+                        exportedPolicy.policyId = policy.id;
+                        exportedPolicy.policyName = policy.name;
+                        exportedPolicy.lastChanged = policy.lastChanged;
+                        policyTimestamp = new Date(policy.lastChanged).getTime();
+                    }
+                });
+                if (!exportedPolicy.policyId) {
+                    const throwErr = new Error(`policy ${policyName || policyId} could not be found on ${exportedPolicy.targetHost}:${exportedPolicy.targetPort}`);
+                    throwErr.httpStatusCode = 404;
+                    throw throwErr;
+                }
+                return this.exportPolicyFromBigIP(exportedPolicy.targetHost, exportedPolicy.targetPort, exportedPolicy.policyId, policyTimestamp);
+            })
+            .then(() => {
+                exportedPolicy.file = this.resolvePolicyFileName(exportedPolicy.policyId, policyTimestamp);
+                return exportedPolicy;
+            });
+    }
+
+    /**
+     * Export the selected policies on a source device into a gzipped tar
+     * bundle of policies/{policyName}.xml files and a manifest.json
+     * @param {String} sourceDevice trusted device host or UUID
+     * @param {Array} policyNames policy names to export
+     * @param {String} policyPrefix policy name prefix to export, all policies without policyNames or policyPrefix
+     * @returns Promise resolving to the bundle manifest and archive
+     */
+    createPolicyBundle(sourceDevice, policyNames, policyPrefix) {
+        const manifest = {
+            created: new Date().toISOString(),
+            sourceHost: null,
+            sourcePort: null,
+            sourceUUID: null,
+            sourceHostname: null,
+            sourceVersion: null,
+            policies: []
+        };
+        const files = [];
+        return this.validateTarget(sourceDevice)
+            .catch((err) => {
+                err.httpStatusCode = 404;
+                throw err;
+            })
+            .then((source) => {
+                manifest.sourceHost = source.targetHost;
+                manifest.sourcePort = source.targetPort;
+                manifest.sourceUUID = source.targetUUID || null;
+                manifest.sourceHostname = source.targetHostname || null;
+                manifest.sourceVersion = source.targetVersion || null;
+                return this.getPoliciesOnBigIP(source.targetHost, source.targetPort, true);
+            })
+            .then((policies) => {
+                const selectedPolicies = policies.filter((policy) => {
+                    if (policyNames) {
+                        return policyNames.includes(policy.name);
+                    }
+                    return !policyPrefix || policy.name.startsWith(policyPrefix);
+                });
+                const missingNames = (policyNames || []).filter((name) => {
+                    return !selectedPolicies.some((policy) => {
+                        return policy.name == name;
+                    });
+                });
+                if (missingNames.length > 0 || selectedPolicies.length === 0) {
+                    const err = new Error((missingNames.length > 0 ? 'policies ' + missingNames.join(',') + ' could not be found' : 'no policies were selected') + ` on ${manifest.sourceHost}:${manifest.sourcePort}`);
+                    err.httpStatusCode = 404;
+                    throw err;
+                }
+                // one policy export at a time to limit the load on the source device
+                let exportChain = Promise.resolve();
+                selectedPolicies.forEach((policy) => {
+                    exportChain = exportChain.then(() => {
+                        const timestamp = new Date(policy.lastChanged).getTime();
+                        return this.exportPolicyFromBigIP(manifest.sourceHost, manifest.sourcePort, policy.id, timestamp)
+                            .then(() => {
+                                const policyFile = this.resolvePolicyFileName(policy.id, timestamp);
+                                const policyContent = fs.readFileSync(`${downloadDirectory}/${policyFile}`);
+                                const bundleFile = `${BUNDLEPOLICYDIRECTORY}/${policy.name}.xml`;
+                                manifest.policies.push({
+                                    name: policy.name,
+                                    id: policy.id,
+                                    path: policy.path,
+                                    lastChanged: policy.lastChanged,
+                                    bigip_version: this.getPolicyVersionFromFile(policyFile),
+                                    file: bundleFile,
+                                    sha256: sha256Hex(policyContent),
+                                    size: policyContent.length
+                                });
+                                files.push({
+                                    name: bundleFile,
+                                    content: policyContent
+                                });
+                            });
+                    });
+                });
+                return exportChain;
+            })
+            .then(() => {
+                files.unshift({
+                    name: BUNDLEMANIFEST,
+                    content: Buffer.from(JSON.stringify(manifest, null, 2))
+                });
+                return {
+                    manifest: manifest,
+                    archive: zlib.gzipSync(createTarArchive(files))
+                };
+            });
+    }
+
+    /**
+     * Read the manifest and the policy XML files of a gzipped tar policy bundle,
+     * the decompressed archive is limited to the downloadMaxBytes setting
+     * @param {Buffer} archive bundle archive
+     * @returns {Object} the bundle manifest and its policies as { entry, policyXml }
+     */
+    readPolicyBundle(archive) {
+        const bundleError = (message) => {
+            const err = new Error(message);
+            err.httpStatusCode = 400;
+            return err;
+        };
+        const bundleFiles = {};
+        let tarArchive = null;
+        try {
+            tarArchive = zlib.gunzipSync(archive, { maxOutputLength: settings.downloadMaxBytes });
+        } catch (err) {
+            if (err.code != 'ERR_BUFFER_TOO_LARGE') {
+                throw bundleError('bundle is not a gzipped tar archive - ' + err.message);
+            }
+        }
+        // older node versions ignore maxOutputLength
+        if (tarArchive === null || tarArchive.length > settings.downloadMaxBytes) {
+            const err = new Error('bundle exceeds the ' + settings.downloadMaxBytes + ' byte limit when decompressed');
+            err.httpStatusCode = 413;
+            throw err;
+        }
+        try {
+            readTarArchive(tarArchive).forEach((file) => {
+                bundleFiles[file.name] = file.content;
+            });
+        } catch (err) {
+            throw bundleError('bundle is not a gzipped tar archive - ' + err.message);
+        }
+        let manifest = null;
+        try {
+            manifest = JSON.parse(bundleFiles[BUNDLEMANIFEST].toString());
+        } catch (err) {
+            throw bundleError('bundle does not have a valid ' + BUNDLEMANIFEST);
+        }
+        if (!(manifest && Array.isArray(manifest.policies))) {
+            throw bundleError('bundle ' + BUNDLEMANIFEST + ' does not list its policies');
+        }
+        const policies = manifest.policies.map((entry) => {
+            if (!(entry && entry.name && bundleFiles[entry.file])) {
+                throw bundleError('bundle policy ' + (entry && entry.name) + ' does not have a policy file');
+            }
+            const policyContent = bundleFiles[entry.file];
+            if (entry.sha256 && !digestsMatch(String(entry.sha256).toLowerCase(), sha256Hex(policyContent))) {
+                throw bundleError('bundle policy ' + entry.name + ' does not match its sha256 digest');
+            }
+            return {
+                entry: entry,
+                policyXml: policyContent.toString()
+            };
+        });
+        return {
+            manifest: manifest,
+            policies: policies
+        };
+    }
+
+    resolveCachedPolicyFile(policyFile) {
+        return new Promise((resolve, reject) => {
+            const fileName = path.basename(policyFile);
+            if (!fileName.startsWith(POLICYFILEPREFIX) || !fs.existsSync(`${downloadDirectory}/${fileName}`)) {
+                const err = new Error('policy file ' + policyFile + ' was not found in the policy cache');
+                err.httpStatusCode = 404;
+                reject(err);
+            } else {
+                resolve({
+                    file: fileName
+                });
+            }
+        });
+    }
+
+    getPolicyDiff(sourceFile, compareFile) {
+        const policyObjs = [sourceFile, compareFile].map((policyFile) => {
+            return convert.xml2js(fs.readFileSync(`${downloadDirectory}/${policyFile}`, 'utf8'), {
+                compact: true
+            });
+        });
+        return diffPolicyObjects(policyObjs[0], policyObjs[1]);
+    }
+
+    getPolicyContentHash(policyId, timestamp) {
+        return this.getPolicyFileContent(policyId, timestamp)
+            .then((policyXML) => {
+                const policyObj = convert.xml2js(policyXML, {
+                    compact: true
+                });
+                // leave out the values the policy diff ignores, such as the name and integrity check
+                if (policyObj.policy) {
+                    removeIgnoredPolicyValues(policyObj.policy);
+                }
+                return crypto.createHash('sha256').update(convert.js2xml(policyObj, {
+                    compact: true
+                })).digest('hex');
+            });
+    }
+
     uploadPolicyFileToBigIP(targetHost, targetPort, policyId, timestamp) {
         const policyFile = this.resolvePolicyFileName(policyId, timestamp);
         const filePath = `${downloadDirectory}/${policyFile}`;
@@ -1974,7 +7481,14 @@ class TrustedASMPoliciesWorker {
                                     fs.closeSync(fs.openSync(errorFile, 'w'));
                                     reject(err);
                                 }
-                                if (end === fstats.size - 1) {
+                                if (inFlightUploads[inFlightUploadIndex] && inFlightUploads[inFlightUploadIndex].cancelled) {
+                                    const err = new Error('upload of policy: ' + filePath + ' to ' + targetHost + ':' + targetPort + ' was cancelled');
+                                    err.cancelled = true;
+                                    delete inFlightUploads[inFlightUploadIndex];
+                                    fs.closeSync(fs.openSync(errorFile, 'w'));
+                                    this.removeUploadedFileOnBigIP(targetHost, targetPort, policyFile);
+                                    reject(err);
+                                } else if (end === fstats.size - 1) {
                                     delete inFlightUploads[inFlightUploadIndex];
                                     resolve(true);
                                 } else {